@@ -0,0 +1,180 @@
+// /api/_lib/bricks.js — brick palette + reading a mosaic PNG back into cells.
+//
+// The clean image is a grid×grid mosaic; each cell is one brick. We average
+// the middle of every cell and snap it to the nearest palette colour, which
+// lets the server recompute totalBricks / brickCounts instead of trusting
+// the client.
+
+import { decodePng, pngBufferFromBase64 } from "./png.js";
+
+// Default brick palette (names match the keys the mosaic app sends in
+// brickCounts). Override with BRICK_PALETTE as JSON, either
+// { "red": "#B40000", … } or per grid { "16": { … }, "32": { … } }.
+export const DEFAULT_PALETTE = {
+  white: "#F4F4F4",
+  black: "#1B2A34",
+  red: "#B40000",
+  orange: "#D67923",
+  yellow: "#FAC80A",
+  lime: "#A5CA18",
+  green: "#00852B",
+  "light blue": "#9FC3E9",
+  blue: "#1E5AA8",
+  purple: "#7A238D",
+  pink: "#F785B1",
+  brown: "#5F3109",
+  tan: "#D7BA8C",
+  "light gray": "#8A928D",
+  "dark gray": "#545955",
+};
+
+const GRID_KEYS = ["16", "32"];
+
+const hexToRgb = (hex) => {
+  const n = parseInt(String(hex).replace(/^#/, ""), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+// → [{ name, hex, rgb }]
+export function paletteFor(grid) {
+  let table = DEFAULT_PALETTE;
+  if (process.env.BRICK_PALETTE) {
+    try {
+      const cfg = JSON.parse(process.env.BRICK_PALETTE);
+      const perGrid = GRID_KEYS.some((k) => k in cfg);
+      table = perGrid ? cfg[String(grid)] || DEFAULT_PALETTE : cfg;
+    } catch (err) {
+      console.error("[BrickArt] BRICK_PALETTE is not valid JSON", err);
+    }
+  }
+  return Object.entries(table).map(([name, hex]) => ({
+    name,
+    hex,
+    rgb: hexToRgb(hex),
+  }));
+}
+
+export function nearestColour([r, g, b], palette) {
+  let best = null;
+  let bestD = Infinity;
+  for (const c of palette) {
+    // "redmean" weighting — cheap and closer to perception than plain RGB
+    const rm = (r + c.rgb[0]) / 2;
+    const dr = r - c.rgb[0];
+    const dg = g - c.rgb[1];
+    const db = b - c.rgb[2];
+    const d =
+      (2 + rm / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rm) / 256) * db * db;
+    if (d < bestD) {
+      bestD = d;
+      best = c;
+    }
+  }
+  return best;
+}
+
+// Average colour of the middle half of every cell, row-major. Cells that are
+// mostly transparent come back as null (no brick placed).
+export function gridCells(image, grid) {
+  const { width, height, data } = image;
+  const cw = width / grid;
+  const ch = height / grid;
+  const cells = [];
+  for (let row = 0; row < grid; row++) {
+    for (let col = 0; col < grid; col++) {
+      const x0 = Math.floor(col * cw + cw / 4);
+      const x1 = Math.max(x0 + 1, Math.floor(col * cw + (3 * cw) / 4));
+      const y0 = Math.floor(row * ch + ch / 4);
+      const y1 = Math.max(y0 + 1, Math.floor(row * ch + (3 * ch) / 4));
+      let r = 0, g = 0, b = 0, a = 0, n = 0;
+      for (let y = y0; y < y1 && y < height; y++) {
+        for (let x = x0; x < x1 && x < width; x++) {
+          const o = (y * width + x) * 4;
+          r += data[o];
+          g += data[o + 1];
+          b += data[o + 2];
+          a += data[o + 3];
+          n++;
+        }
+      }
+      cells.push(
+        !n || a / n < 128 ? null : [Math.round(r / n), Math.round(g / n), Math.round(b / n)]
+      );
+    }
+  }
+  return cells;
+}
+
+// A mosaic as { width, height, data }: base64 PNGs are decoded (square,
+// size-capped), already decoded images pass through. Decode once with this
+// and hand the result to readMosaic(), mosaicHash(), watermarkB64(), … so a
+// submission isn't inflated again for every step.
+export function mosaicImage(image) {
+  if (image && typeof image === "object" && image.data) return image;
+  return decodePng(pngBufferFromBase64(image), { square: true });
+}
+
+// Read a mosaic (base64 PNG or mosaicImage()) and map it to palette names.
+// → { grid, cells: [name|null], brickCounts, totalBricks }
+export function readMosaic(imageB64, grid) {
+  const image = mosaicImage(imageB64);
+  const palette = paletteFor(grid);
+  const cells = gridCells(image, grid).map((rgb) =>
+    rgb ? nearestColour(rgb, palette).name : null
+  );
+  const brickCounts = {};
+  for (const name of cells) {
+    if (name) brickCounts[name] = (brickCounts[name] || 0) + 1;
+  }
+  const totalBricks = cells.filter(Boolean).length;
+  return { grid, cells, brickCounts, totalBricks };
+}
+
+const norm = (name) => String(name).trim().toLowerCase();
+
+// Compare the client's numbers with what the image actually contains.
+// → { status: "match" | "mismatch" | "skipped", computed, mismatches }
+export function verifyBrickCounts({ imageB64, image, grid, totalBricks, brickCounts }) {
+  if (!(image || imageB64) || !grid) {
+    return { status: "skipped", reason: "no clean image or grid" };
+  }
+
+  let computed;
+  try {
+    computed = readMosaic(image || imageB64, grid);
+  } catch (err) {
+    return { status: "skipped", reason: `unreadable image: ${err.message}` };
+  }
+
+  const mismatches = [];
+  if (typeof totalBricks === "number" && totalBricks !== computed.totalBricks) {
+    mismatches.push({
+      field: "totalBricks",
+      submitted: totalBricks,
+      computed: computed.totalBricks,
+    });
+  }
+  if (brickCounts) {
+    const submitted = {};
+    for (const [k, n] of Object.entries(brickCounts)) {
+      if (n > 0) submitted[norm(k)] = n;
+    }
+    const names = new Set([...Object.keys(submitted), ...Object.keys(computed.brickCounts)]);
+    for (const name of names) {
+      const a = submitted[name] || 0;
+      const b = computed.brickCounts[name] || 0;
+      if (a !== b) {
+        mismatches.push({ field: `brickCounts.${name}`, submitted: a, computed: b });
+      }
+    }
+  }
+
+  return {
+    status: mismatches.length ? "mismatch" : "match",
+    computed: {
+      totalBricks: computed.totalBricks,
+      brickCounts: computed.brickCounts,
+    },
+    mismatches,
+  };
+}
@@ -0,0 +1,50 @@
+// /api/_lib/captcha.js — optional CAPTCHA check for public routes.
+//
+// Enabled when TURNSTILE_SECRET_KEY is set (Cloudflare Turnstile). The
+// token comes from the `captchaToken` body field or the
+// `cf-turnstile-response` header. Other providers can be plugged in with
+// setCaptchaVerifier(async (token, ip) => boolean).
+
+const SITEVERIFY = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+async function turnstile(token, ip) {
+  const form = new URLSearchParams({
+    secret: process.env.TURNSTILE_SECRET_KEY,
+    response: token,
+  });
+  if (ip) form.set("remoteip", ip);
+  const r = await fetch(SITEVERIFY, { method: "POST", body: form });
+  const json = await r.json().catch(() => ({}));
+  return !!json.success;
+}
+
+let verifier = null;
+
+export function setCaptchaVerifier(fn) {
+  verifier = fn;
+}
+
+function activeVerifier() {
+  if (verifier) return verifier;
+  return process.env.TURNSTILE_SECRET_KEY ? turnstile : null;
+}
+
+// Sends 403 and returns false when a CAPTCHA is required and not passed.
+export async function captchaOr403(req, res, body, ip) {
+  const verify = activeVerifier();
+  if (!verify) return true;
+
+  const token = body?.captchaToken || req.headers["cf-turnstile-response"];
+  let passed = false;
+  if (token) {
+    try {
+      passed = await verify(String(token), ip);
+    } catch (err) {
+      console.error("[BrickArt] CAPTCHA verification error", err);
+    }
+  }
+  if (!passed) {
+    res.status(403).json({ ok: false, error: "CAPTCHA verification failed" });
+  }
+  return passed;
+}
@@ -0,0 +1,57 @@
+// /api/_lib/consent.js — what a submitter agreed to, enforced server-side.
+//
+// Submit bodies carry:
+//   consentGallery   must be true: the design is published in the gallery
+//   consentEmail     keep submitterEmail to send decision emails
+//   consentMarketing Challenge / promotional email
+//   under13          builder is under 13 (COPPA-safe mode)
+//   guardianConsent  a parent / guardian agreed (needed for any email
+//                    when under13)
+// Under 13 the nickname is always replaced by an anonymous one and
+// marketing is off. Without email consent the address is never stored.
+// The resulting record (with POLICY_VERSION) goes to brickart.consent.
+
+import { createHash } from "node:crypto";
+
+export const POLICY_VERSION = process.env.POLICY_VERSION || "2025-01";
+
+// Stable per submission, so retries and duplicates agree.
+export function anonymousNickname(seed) {
+  const hex = createHash("sha256").update(String(seed)).digest("hex");
+  return `Builder ${hex.slice(0, 4).toUpperCase()}`;
+}
+
+// Field errors for consents that block a submission outright.
+export function consentErrors(input) {
+  const errors = [];
+  if (input.consentGallery !== true) {
+    errors.push({ field: "consentGallery", message: "must be true to publish in the gallery" });
+  }
+  return errors;
+}
+
+// → { input, consent }: input with email / nickname adjusted to what the
+// submitter consented to, plus the record to persist.
+export function applyConsent(input) {
+  const under13 = input.under13 === true;
+  const guardian = under13 && input.guardianConsent === true;
+  const emailAllowed = input.consentEmail === true && (!under13 || guardian);
+  const marketing = input.consentMarketing === true && !under13;
+
+  const out = { ...input };
+  if (!emailAllowed) delete out.submitterEmail;
+  if (under13) out.nickname = anonymousNickname(`${input.timestamp}|${input.imageClean_b64}`);
+
+  const consent = {
+    gallery: true,
+    email: emailAllowed && !!input.submitterEmail,
+    marketing: marketing && emailAllowed && !!input.submitterEmail,
+    under13,
+    guardianConsent: guardian,
+    nicknameAnonymised: under13,
+    policyVersion: POLICY_VERSION,
+    clientPolicyVersion: input.policyVersion || null,
+    recordedAt: new Date().toISOString(),
+  };
+  return { input: out, consent };
+}
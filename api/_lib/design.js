@@ -0,0 +1,103 @@
+// /api/_lib/design.js — the mosaic design source document.
+//
+// The rendered PNG can't be reopened or re-rendered at another scale, so
+// submissions may also carry the design itself:
+//
+//   {
+//     "format": "brickart.design", "version": 1,
+//     "appVersion": "2.4.0",
+//     "width": 16, "height": 16,
+//     "baseplate": "blue",
+//     "palette": [{ "name": "red", "hex": "#c91a09" }, …],
+//     "cells": [0, 0, 1, -1, …]   // row-major palette indices, -1 = empty
+//   }
+//
+// It is uploaded as <name>-design.json next to -clean.png and referenced
+// by the brickart.design metafield; GET /api/design hands it back.
+
+export const DESIGN_FORMAT = "brickart.design";
+export const DESIGN_VERSIONS = [1];
+const MAX_PALETTE = 256;
+const HEX_RE = /^#?([0-9a-f]{6})$/i;
+
+const fail = (message) => ({ error: message });
+
+// Validate + normalise; → { value } | { error } like the schema.js TYPES
+// (which passes its GRID_SIZES in).
+export function normaliseDesign(v, gridSizes) {
+  let doc = v;
+  if (typeof v === "string") {
+    try {
+      doc = JSON.parse(v);
+    } catch {
+      return fail("must be an object or JSON object string");
+    }
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return fail("must be a design object");
+  }
+  if (doc.format !== undefined && doc.format !== DESIGN_FORMAT) {
+    return fail(`format must be '${DESIGN_FORMAT}'`);
+  }
+  const version = doc.version ?? 1;
+  if (!DESIGN_VERSIONS.includes(version)) {
+    return fail(`version must be one of ${DESIGN_VERSIONS.join(", ")}`);
+  }
+
+  const { width, height } = doc;
+  if (!gridSizes.includes(width) || !gridSizes.includes(height)) {
+    return fail(`width and height must be one of ${gridSizes.join(", ")}`);
+  }
+
+  if (!Array.isArray(doc.palette) || !doc.palette.length || doc.palette.length > MAX_PALETTE) {
+    return fail(`palette must list 1–${MAX_PALETTE} colours`);
+  }
+  const palette = [];
+  for (const [i, colour] of doc.palette.entries()) {
+    const hex = String(colour?.hex ?? "").match(HEX_RE);
+    if (!hex) return fail(`palette[${i}].hex must be a #rrggbb colour`);
+    const name = colour.name == null ? null : String(colour.name).trim();
+    if (name !== null && (!name || name.length > 60)) {
+      return fail(`palette[${i}].name is invalid`);
+    }
+    palette.push({ name, hex: `#${hex[1].toLowerCase()}` });
+  }
+
+  if (!Array.isArray(doc.cells) || doc.cells.length !== width * height) {
+    return fail(`cells must hold width × height (${width * height}) entries`);
+  }
+  for (const c of doc.cells) {
+    if (!Number.isInteger(c) || c < -1 || c >= palette.length) {
+      return fail("cells must be palette indices (or -1 for empty)");
+    }
+  }
+
+  const appVersion = doc.appVersion == null ? null : String(doc.appVersion).trim().slice(0, 40);
+  const baseplate = doc.baseplate == null ? null : String(doc.baseplate).trim().slice(0, 60);
+
+  return {
+    value: {
+      format: DESIGN_FORMAT,
+      version,
+      appVersion,
+      width,
+      height,
+      baseplate,
+      palette,
+      cells: [...doc.cells],
+    },
+  };
+}
+
+// The design has to describe the submitted mosaic.
+export function designErrors(input) {
+  const { design, grid } = input;
+  if (!design) return [];
+  if (design.width !== design.height) {
+    return [{ field: "design", message: "must be a square grid" }];
+  }
+  if (grid && design.width !== grid) {
+    return [{ field: "design", message: `is ${design.width}x${design.height} but grid is ${grid}` }];
+  }
+  return [];
+}
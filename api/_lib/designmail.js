@@ -0,0 +1,201 @@
+// /api/_lib/designmail.js — "email me my design" for every front-end.
+//
+// One implementation behind /api/v1/email and the legacy /api/email-image
+// and /api/email-design routes (now thin shims that pin a `kind`). Both
+// legacy payload shapes validate against designEmailSchema (grid or
+// whichGrid, optional baseplate / category / brickCounts).
+//
+// Kinds pick the template in api/_lib/emails/ and what gets attached:
+//   design → full email (build guide PDF + parts lists + Challenge footer)
+//   image  → short email with just the PNG
+// BCC_EMAIL, when set, is copied on every kind.
+//
+// Suppressions (suppression.js) are checked before every send: "all" blocks
+// the email, "marketing" sends it without the promotional content. Emails
+// with promotional content carry an unsubscribe link + List-Unsubscribe;
+// when no link can be built the promotional content is left out.
+
+import { randomUUID } from "node:crypto";
+
+import { applyCors } from "./http.js";
+import { designEmailSchema, validateOr400 } from "./schema.js";
+import { getStore } from "./store.js";
+import { clientIp, rateLimitOr429 } from "./ratelimit.js";
+import { captchaOr403 } from "./captcha.js";
+import { instructionsFromImage } from "./instructions.js";
+import { partsListFiles } from "./partslist.js";
+import { sendMail } from "./sendgrid.js";
+import { pickLocale, renderEmail } from "./templates.js";
+import { trackingArgs } from "./emailevents.js";
+import { apiBaseUrl, getSuppression, unsubscribeLink } from "./suppression.js";
+
+export const EMAIL_KINDS = {
+  design: { template: "design", guide: true, partsList: true, marketing: true },
+  image: { template: "design-basic", guide: false, partsList: false, marketing: false },
+};
+
+const MAX_BODY = 4 * 1024 * 1024;
+const GALLERY_URL = "https://www.brick-art.com/pages/brick-art-gallery";
+
+// Builds and sends the email; returns the email ID its delivery events are
+// filed under. Throws the sendgrid.js error on failure.
+export async function sendDesignEmail(input, kind, { locale, suppression, baseUrl } = {}) {
+  const cfg = EMAIL_KINDS[kind];
+  const unsubscribe =
+    cfg.marketing && !suppression ? unsubscribeLink(input.email, baseUrl) : null;
+  // no unsubscribe link (secret or base URL missing) → no promotional content
+  const marketing = cfg.marketing && !suppression && !!unsubscribe;
+  const { email, nickname, grid, baseplate, category, totalBricks, brickCounts, imageBase64 } =
+    input;
+
+  const safeNickname = (nickname || "design").replace(/[^a-z0-9_\-]+/gi, "_");
+  const sizeLabel = grid ? `${grid}x${grid}` : "mosaic";
+  const baseName = `BrickArt-${safeNickname}-${sizeLabel}`;
+
+  // Printable build guide; the email still goes out if it can't be made.
+  const guidePdf = cfg.guide ? instructionsFromImage(imageBase64, grid, nickname) : null;
+  const partsFiles = cfg.partsList ? partsListFiles(brickCounts, baseName) : [];
+
+  const { subject, text, html } = renderEmail(
+    cfg.template,
+    {
+      nickname,
+      grid,
+      sizeLabel,
+      baseplate,
+      category,
+      hasTotal: typeof totalBricks === "number",
+      totalBricks,
+      bricks: Object.entries(brickCounts || {}).map(([colour, count]) => ({ colour, count })),
+      guideAttached: !!guidePdf,
+      partsAttached: partsFiles.length > 0,
+      galleryUrl: GALLERY_URL,
+      marketing,
+      unsubscribeUrl: unsubscribe?.url,
+    },
+    locale
+  );
+
+  const personalization = { to: [{ email }] };
+  if (process.env.BCC_EMAIL) {
+    personalization.bcc = [{ email: process.env.BCC_EMAIL }];
+  }
+
+  const emailId = randomUUID();
+  await sendMail({
+    ...trackingArgs(kind, emailId),
+    ...(unsubscribe ? { headers: unsubscribe.headers } : {}),
+    personalizations: [personalization],
+    subject,
+    content: [
+      { type: "text/plain", value: text },
+      { type: "text/html", value: html },
+    ],
+    attachments: [
+      {
+        content: imageBase64,
+        filename: `${baseName}.png`,
+        type: "image/png",
+        disposition: "attachment",
+      },
+      ...(guidePdf
+        ? [
+            {
+              content: guidePdf.toString("base64"),
+              filename: `${baseName}-build-guide.pdf`,
+              type: "application/pdf",
+              disposition: "attachment",
+            },
+          ]
+        : []),
+      ...partsFiles.map((file) => ({ ...file, disposition: "attachment" })),
+    ],
+  });
+  return emailId;
+}
+
+// Route handler factory. `kind` pins the kind (legacy routes); otherwise
+// it comes from the body and defaults to "design".
+export function emailHandler({ kind: pinnedKind, route = "/api/v1/email" } = {}) {
+  return async function handler(req, res) {
+    if (
+      applyCors(req, res, {
+        methods: "POST, OPTIONS",
+        headers: "Content-Type, CF-Turnstile-Response",
+      })
+    ) {
+      return;
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+
+    if (!process.env.SENDGRID_API_KEY) {
+      console.error("[BrickArt] SENDGRID_API_KEY is not set");
+      return res.status(500).json({ ok: false, error: "Email service not configured" });
+    }
+
+    // ---- Read & parse JSON body manually (with size guard) ----
+    let rawBody = "";
+    try {
+      for await (const chunk of req) {
+        rawBody += chunk;
+        if (rawBody.length > MAX_BODY) {
+          return res.status(413).json({ ok: false, error: "Payload too large" });
+        }
+      }
+    } catch (e) {
+      console.error("[BrickArt] Error reading request body:", e);
+      return res.status(400).json({ ok: false, error: "Unable to read request body" });
+    }
+
+    let data = {};
+    try {
+      data = rawBody ? JSON.parse(rawBody) : {};
+    } catch (e) {
+      console.error("[BrickArt] Invalid JSON body:", e);
+      return res.status(400).json({ ok: false, error: "Invalid JSON body" });
+    }
+
+    const kind = pinnedKind || data.kind || "design";
+    if (!EMAIL_KINDS[kind]) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid request body",
+        fields: [{ field: "kind", message: `must be one of ${Object.keys(EMAIL_KINDS).join(", ")}` }],
+      });
+    }
+
+    const input = validateOr400(designEmailSchema, data, res);
+    if (!input) return;
+
+    // Abuse protection: CAPTCHA (if configured) + per-IP / per-recipient limits
+    if (!(await captchaOr403(req, res, input, clientIp(req)))) return;
+    const store = getStore();
+    if (!(await rateLimitOr429(store, "email", req, res, { email: input.email }))) {
+      return;
+    }
+
+    try {
+      const suppression = await getSuppression(store, input.email);
+      if (suppression?.scope === "all") {
+        return res
+          .status(409)
+          .json({ ok: false, error: "This address has unsubscribed from Brick Art emails" });
+      }
+      const emailId = await sendDesignEmail(input, kind, {
+        locale: pickLocale(input.locale, req.headers["accept-language"]),
+        suppression,
+        baseUrl: apiBaseUrl(req),
+      });
+      return res.status(200).json({ ok: true, kind, emailId });
+    } catch (err) {
+      console.error(`[BrickArt] ${route} error:`, err?.message || err);
+      return res.status(500).json({
+        ok: false,
+        error: /"step":"sendgrid"/.test(err?.message) ? "SendGrid error" : "Server error",
+      });
+    }
+  };
+}
@@ -0,0 +1,87 @@
+// /api/_lib/emailevents.js — SendGrid delivery tracking.
+//
+// Outgoing mail carries custom_args { brickart_kind, brickart_ref } (see
+// trackingArgs); SendGrid copies them onto every Event Webhook event, so
+// /api/sendgrid-events can file delivered / open / bounce / spamreport …
+// events under the ref — the article ID for decision emails, a random email
+// ID for design emails. Events live in the shared store, newest first.
+// Spam reports, SendGrid unsubscribes and hard bounces also suppress the
+// address (suppression.js).
+
+import { createPublicKey, verify } from "node:crypto";
+
+import { suppress } from "./suppression.js";
+
+const MAX_SKEW_SECONDS = 10 * 60;
+const DEDUPE_TTL = 7 * 24 * 3600; // SendGrid retries for up to 72 hours
+
+export const eventsKey = (ref) => `email:events:${ref}`;
+
+export function trackingArgs(kind, ref) {
+  return { custom_args: { brickart_kind: String(kind), brickart_ref: String(ref) } };
+}
+
+// SendGrid signs `timestamp + rawBody` with ECDSA P-256 / SHA-256; the
+// verification key (SENDGRID_WEBHOOK_PUBLIC_KEY) is the base64 DER key
+// shown in the SendGrid settings.
+export function verifyEventSignature({ publicKey, signature, timestamp, body, now = Date.now() }) {
+  if (!publicKey || !signature || !timestamp) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > MAX_SKEW_SECONDS) return false;
+  try {
+    const key = createPublicKey({
+      key: Buffer.from(publicKey, "base64"),
+      format: "der",
+      type: "spki",
+    });
+    return verify(
+      "sha256",
+      Buffer.concat([Buffer.from(String(timestamp)), body]),
+      { key, dsaEncoding: "der" },
+      Buffer.from(signature, "base64")
+    );
+  } catch (err) {
+    console.error("[BrickArt] Event webhook signature check failed", err);
+    return false;
+  }
+}
+
+function suppressionFor(e) {
+  if (e.event === "spamreport" || e.event === "unsubscribe") return "all";
+  if (e.event === "bounce" && e.type !== "blocked") return "all";
+  if (e.event === "group_unsubscribe") return "marketing";
+  return null;
+}
+
+// Files each tagged event under its ref; untagged and repeated events
+// (same sg_event_id) are skipped. Returns the number stored.
+export async function recordEvents(store, events) {
+  let stored = 0;
+  for (const e of Array.isArray(events) ? events : []) {
+    if (!e?.event) continue;
+    const scope = suppressionFor(e);
+    if (scope && e.email) await suppress(store, e.email, scope, `sendgrid:${e.event}`);
+    if (!e.brickart_ref) continue;
+    if (e.sg_event_id) {
+      const fresh = await store.set(`email:event:${e.sg_event_id}`, 1, {
+        ttl: DEDUPE_TTL,
+        nx: true,
+      });
+      if (!fresh) continue;
+    }
+    await store.lpush(eventsKey(e.brickart_ref), {
+      event: e.event,
+      kind: e.brickart_kind || null,
+      email: e.email || null,
+      at: e.timestamp ? new Date(e.timestamp * 1000).toISOString() : null,
+      reason: e.reason || e.response || null,
+      type: e.type || null, // bounce / blocked
+      messageId: e.sg_message_id || null,
+    });
+    stored++;
+  }
+  return stored;
+}
+
+export async function listEmailEvents(store, ref, limit = 50) {
+  return store.lrange(eventsKey(ref), 0, limit - 1);
+}
@@ -0,0 +1,112 @@
+// /api/_lib/files.js — the Shopify Files the publisher uploads.
+//
+// Every upload is named <safeNameBase>-<part>.<ext> (see publish.js), where
+// safeNameBase starts with the submission timestamp's digits. A File with
+// such a name that no article references any more is an orphan: left behind
+// by a submission that failed before its article was created, or by an
+// article deleted in the Shopify admin. Files younger than minAgeHours are
+// never reported, since a queued submission may still be about to use them,
+// and neither are Files in the checkpoints of a queued or dead-lettered job
+// (a retry or replay resumes with them). Those jobs are read from the store
+// passed in, so a CLI run must share the API's store (KV_REST_API_*).
+
+import { ShopifyError } from "./shopify.js";
+import { getArticleMetafields, nextPageInfo, submissionFileUrls } from "./moderation.js";
+import { DEAD, QUEUE, getJob } from "./jobs.js";
+
+const OUR_FILE_RE =
+  /^\d{8}[\dT]*-.*-(?:(?:clean|logo|thumb|web|og)\.png|guide\.pdf|parts\.csv|bricklink\.xml|design\.json)$/;
+
+export function fileNameOf(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split("/").pop());
+  } catch {
+    return null;
+  }
+}
+
+export const isPublisherFile = (filename) => OUR_FILE_RE.test(String(filename || ""));
+
+// → [{ id, filename, url, createdAt }] for every File in the store.
+export async function listFiles(shop) {
+  const QUERY = `
+    query filesPage($after: String) {
+      files(first: 250, after: $after) {
+        edges {
+          node {
+            __typename
+            ... on MediaImage { id createdAt image { url } }
+            ... on GenericFile { id createdAt url }
+          }
+        }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `;
+  const files = [];
+  let after = null;
+  do {
+    const data = await shop.gql(QUERY, { after });
+    for (const { node } of data?.files?.edges || []) {
+      const url = node.image?.url || node.url || null;
+      files.push({ id: node.id, filename: fileNameOf(url), url, createdAt: node.createdAt || null });
+    }
+    const page = data?.files?.pageInfo;
+    after = page?.hasNextPage ? page.endCursor : null;
+  } while (after);
+  return files;
+}
+
+// File names referenced by any article of the blog, published or not.
+export async function referencedFileNames(shop, BLOG_ID) {
+  const names = new Set();
+  let pageInfo = null;
+  do {
+    const qs = pageInfo
+      ? `limit=250&page_info=${encodeURIComponent(pageInfo)}`
+      : "limit=250&published_status=any";
+    const r = await shop.rest(`/blogs/${BLOG_ID}/articles.json?${qs}`);
+    if (!r.ok) {
+      throw new ShopifyError("listArticles", { status: r.status, errors: r.data });
+    }
+    for (const a of r.data?.articles || []) {
+      const mf = await getArticleMetafields(shop, a.id);
+      for (const url of submissionFileUrls(a, mf)) names.add(fileNameOf(url));
+    }
+    pageInfo = nextPageInfo(r.headers);
+  } while (pageInfo);
+  return names;
+}
+
+// File names in the checkpoints of unfinished (queued or dead) jobs.
+export async function pendingJobFileNames(store) {
+  const names = new Set();
+  const collect = (v) => {
+    if (typeof v === "string") {
+      if (/^https?:\/\//.test(v)) names.add(fileNameOf(v));
+    } else if (v && typeof v === "object") {
+      Object.values(v).forEach(collect);
+    }
+  };
+  for (const list of [QUEUE, DEAD]) {
+    for (const id of await store.lrange(list, 0, -1)) collect((await getJob(store, id))?.checkpoints);
+  }
+  return names;
+}
+
+export async function findOrphanFiles(
+  shop,
+  BLOG_ID,
+  store,
+  { minAgeHours = 24, now = Date.now() } = {}
+) {
+  const referenced = await referencedFileNames(shop, BLOG_ID);
+  for (const name of await pendingJobFileNames(store)) referenced.add(name);
+  const cutoff = now - minAgeHours * 3600 * 1000;
+  return (await listFiles(shop)).filter(
+    (f) =>
+      isPublisherFile(f.filename) &&
+      !referenced.has(f.filename) &&
+      (!f.createdAt || new Date(f.createdAt).getTime() <= cutoff)
+  );
+}
@@ -0,0 +1,178 @@
+// /api/_lib/gallery.js — read side of the public gallery.
+//
+// Shopify REST can only filter articles on a single tag and can't sort by
+// brick count, so published articles are read into a compact index (cached
+// in the shared store for GALLERY_TTL seconds, default 300) and filtered,
+// sorted and paged from there. Remix lineage (brickart.remix_parent_id) is
+// read into the index in bulk, one query per 250 articles. Only the page
+// being returned pays for the per-article metafield reads (brick_counts +
+// image variants), and only once: what a gallery item needs is cached next
+// to the index, one key per article, so other filters, sorts or cursors
+// over the same articles don't read them again.
+
+import { ShopifyError } from "./shopify.js";
+import { getArticleMetafields, imageUrlsFromHtml, nextPageInfo } from "./moderation.js";
+import { slug } from "./slug.js";
+import { metafieldValues } from "./metafields.js";
+
+export const INDEX_KEY = "gallery:index";
+// one key per article, so concurrent requests never overwrite each other
+export const detailsKey = (articleId) => `gallery:details:${articleId}`;
+const DETAIL_FIELDS = ["nickname", "category", "total_bricks", "brick_counts", "images", "design"];
+const MAX_PAGES = 20; // × 250 articles
+const TTL = Number(process.env.GALLERY_TTL || 300);
+
+export const SORTS = { date: "publishedAt", bricks: "totalBricks" };
+
+const unescape = (s = "") =>
+  String(s)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&");
+
+// The tags publish.js writes: category, "32x32", "plate-blue-16x16".
+function fromTags(tags = "") {
+  const out = { category: null, size: null, plate: null };
+  for (const tag of String(tags).split(",").map((t) => t.trim()).filter(Boolean)) {
+    if (/^\d+x\d+$/.test(tag)) out.size = tag;
+    else if (tag.startsWith("plate-")) out.plate = tag.slice(6);
+    else if (!out.category) out.category = tag;
+  }
+  return out;
+}
+
+function indexEntry(article) {
+  const html = article.body_html || "";
+  const nickname = html.match(/<strong>Nickname:<\/strong>\s*([^<]*)</);
+  const total = html.match(/Total Bricks:\s*(\d+)/);
+  return {
+    articleId: article.id,
+    title: article.title,
+    handle: article.handle,
+    publishedAt: article.published_at,
+    nickname: nickname ? unescape(nickname[1].trim()) : null,
+    totalBricks: total ? Number(total[1]) : null,
+    image: imageUrlsFromHtml(html)[0] || null,
+    ...fromTags(article.tags),
+  };
+}
+
+async function buildIndex(shop, BLOG_ID) {
+  const blog = await shop.rest(`/blogs/${BLOG_ID}.json`);
+  const blogHandle = blog.ok ? blog.data?.blog?.handle || null : null;
+
+  const fields = "id,title,handle,body_html,tags,published_at";
+  const entries = [];
+  let pageInfo = null;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const qs = pageInfo
+      ? `limit=250&fields=${fields}&page_info=${encodeURIComponent(pageInfo)}`
+      : `limit=250&fields=${fields}&published_status=published`;
+    const r = await shop.rest(`/blogs/${BLOG_ID}/articles.json?${qs}`);
+    if (!r.ok) {
+      throw new ShopifyError("listArticles", { status: r.status, errors: r.data });
+    }
+    entries.push(...(r.data?.articles || []).map(indexEntry));
+    pageInfo = nextPageInfo(r.headers);
+    if (!pageInfo) break;
+  }
+  const parents = await metafieldValues(
+    shop,
+    entries.map((e) => e.articleId),
+    "remix_parent_id"
+  );
+  for (const e of entries) {
+    e.parentArticleId = parents.has(e.articleId) ? Number(parents.get(e.articleId)) : null;
+  }
+  return { blogHandle, entries };
+}
+
+// → { blogHandle, entries }
+export async function galleryIndex(store, shop, BLOG_ID) {
+  const cached = await store.get(INDEX_KEY);
+  if (cached) return cached;
+  const index = await buildIndex(shop, BLOG_ID);
+  await store.set(INDEX_KEY, index, { ttl: TTL });
+  return index;
+}
+
+// Called when an article is published or removed; pass the articles whose
+// cached details should go too.
+export async function invalidateGallery(store, articleIds = []) {
+  await store.del(INDEX_KEY);
+  for (const id of articleIds) await store.del(detailsKey(id));
+}
+
+// Opaque cursor: the offset into the filtered + sorted list.
+export const encodeCursor = (offset) =>
+  Buffer.from(JSON.stringify({ o: offset })).toString("base64url");
+
+export function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+// { category, size, plate } filters accept raw labels ("Blue 16x16", "32")
+// as well as the tag forms ("blue-16x16", "32x32").
+export function filterAndSort(entries, { category, size, plate, sort = "date", order = "desc" }) {
+  const want = {
+    category: category ? slug(category) : null,
+    size: size ? (/^\d+$/.test(String(size)) ? `${size}x${size}` : String(size).toLowerCase()) : null,
+    plate: plate ? slug(String(plate).replace(/^plate-/, "")) : null,
+  };
+  const key = SORTS[sort] || SORTS.date;
+  const dir = order === "asc" ? 1 : -1;
+  return entries
+    .filter((e) =>
+      Object.entries(want).every(
+        // "blue" also matches sized plate tags like "blue-16x16"
+        ([k, v]) => !v || e[k] === v || (k === "plate" && String(e.plate).startsWith(`${v}-`))
+      )
+    )
+    .sort((a, b) => {
+      const av = a[key] ?? "";
+      const bv = b[key] ?? "";
+      if (av === bv) return dir * (a.articleId - b.articleId);
+      return av > bv ? dir : -dir;
+    });
+}
+
+// Adds brick_counts + image variants to the entries of one page, reading
+// metafields only for articles whose details aren't cached yet.
+export async function withDetails(store, shop, entries, blogHandle) {
+  const cached = await store.mget(entries.map((e) => detailsKey(e.articleId)));
+  const items = [];
+  for (const [i, e] of entries.entries()) {
+    let mf = cached[i];
+    if (!mf) {
+      const all = await getArticleMetafields(shop, e.articleId);
+      mf = Object.fromEntries(DETAIL_FIELDS.map((k) => [k, all[k] ?? null]));
+      await store.set(detailsKey(e.articleId), mf, { ttl: TTL });
+    }
+    const images = mf.images || {};
+    items.push({
+      articleId: e.articleId,
+      title: e.title,
+      nickname: mf.nickname ?? e.nickname,
+      category: mf.category ?? e.category,
+      grid: e.size ? Number(e.size.split("x")[0]) : null,
+      baseplate: e.plate,
+      totalBricks: mf.total_bricks != null ? Number(mf.total_bricks) : e.totalBricks,
+      brickCounts: mf.brick_counts || null,
+      thumbnailUrl: images.thumb || e.image,
+      imageUrl: images.web || images.clean || e.image,
+      ogImageUrl: images.og || null,
+      hasDesign: !!mf.design,
+      parentArticleId: e.parentArticleId ?? null,
+      publishedAt: e.publishedAt,
+      url: blogHandle && e.handle ? `https://${shop.store}/blogs/${blogHandle}/${e.handle}` : null,
+    });
+  }
+  return items;
+}
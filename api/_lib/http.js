@@ -0,0 +1,92 @@
+// /api/_lib/http.js — shared request/response helpers for the Brick Art routes.
+// Files under api/_lib are not deployed as routes by Vercel.
+
+export const DEFAULT_ORIGINS = [
+  "https://www.brick-art.com",
+  "https://brick-art.com",
+  "https://brick-art.myshopify.com", // theme preview (optional)
+  "http://localhost:3000",           // local dev (optional)
+];
+
+// Sets CORS headers; returns true when the request was a preflight that has
+// already been answered.
+export function applyCors(req, res, {
+  methods = "GET, POST, OPTIONS",
+  headers = "Content-Type, Authorization",
+  origins = DEFAULT_ORIGINS,
+} = {}) {
+  const origin = req.headers.origin;
+  if (origin && origins.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", headers);
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return true;
+  }
+  return false;
+}
+
+// HTML-escape text for pages the routes build by hand.
+export const esc = (s = "") =>
+  String(s).replace(/[&<>"']/g, (m) =>
+    ({
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#39;",
+    }[m])
+  );
+
+// Vercel usually parses JSON for us; tolerate stringified bodies too.
+export function parseBody(req) {
+  return typeof req.body === "string" ? JSON.parse(req.body) : req.body || {};
+}
+
+// parseBody() for handlers: answers 400 and returns null on invalid JSON.
+export function parseBodyOr400(req, res) {
+  try {
+    return parseBody(req);
+  } catch {
+    res.status(400).json({ ok: false, error: "Invalid JSON body" });
+    return null;
+  }
+}
+
+// Raw request bytes, for routes that must verify a signature over the exact
+// body. Returns null once more than `limit` bytes have arrived.
+export async function readRawBody(req, limit = 1024 * 1024) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    size += buf.length;
+    if (size > limit) return null;
+    chunks.push(buf);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Bearer-token guard for internal (team-only) routes. Responds with 401/500
+// and returns false when the caller is not allowed through. With allowCron,
+// Vercel Cron's `Bearer <CRON_SECRET>` is accepted as well.
+export function requireAdmin(req, res, { allowCron = false } = {}) {
+  const expected = process.env.MODERATION_TOKEN;
+  const cron = allowCron ? process.env.CRON_SECRET : null;
+  if (!expected) {
+    console.error("[BrickArt] MODERATION_TOKEN is not set");
+    res.status(500).json({ ok: false, error: "Server not configured" });
+    return false;
+  }
+  const auth = String(req.headers.authorization || "");
+  const token = auth.replace(/^Bearer\s+/i, "").trim();
+  if (!token || (token !== expected && token !== cron)) {
+    res.status(401).json({ ok: false, error: "Unauthorized" });
+    return false;
+  }
+  return true;
+}
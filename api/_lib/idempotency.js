@@ -0,0 +1,54 @@
+// /api/_lib/idempotency.js — replay-safe submissions.
+//
+// A submission is keyed by the Idempotency-Key header or, failing that, by
+// timestamp + nickname + sha256 of the image. The first request claims the
+// key; repeats get the stored response back instead of creating duplicates.
+
+import { createHash } from "node:crypto";
+
+const PENDING_TTL = 5 * 60;        // a claim outlives any single request
+const COMPLETED_TTL = 7 * 24 * 3600;
+
+const sha256 = (s) => createHash("sha256").update(String(s)).digest("hex");
+
+export function idempotencyKey(req, { timestamp, nickname, image }) {
+  const header = String(req.headers["idempotency-key"] || "").trim();
+  if (header) return `submit:h:${sha256(header)}`;
+  const raw = String(image || "").replace(/^data:[^,]*,/, "").trim();
+  return `submit:d:${sha256(
+    [String(timestamp), String(nickname || ""), sha256(raw)].join("|")
+  )}`;
+}
+
+// Returns { state: "new" } when this request owns the key,
+// { state: "replay", response } for a finished duplicate, or
+// { state: "in_progress" } while the original is still running.
+export async function claim(store, key) {
+  if (await store.set(key, { status: "pending" }, { ttl: PENDING_TTL, nx: true })) {
+    return { state: "new" };
+  }
+  const existing = await store.get(key);
+  if (existing?.status === "done") {
+    return { state: "replay", response: existing.response };
+  }
+  if (!existing) {
+    // expired between the two calls; try once more
+    return (await store.set(key, { status: "pending" }, { ttl: PENDING_TTL, nx: true }))
+      ? { state: "new" }
+      : { state: "in_progress" };
+  }
+  return { state: "in_progress" };
+}
+
+export async function complete(store, key, response) {
+  await store.set(key, { status: "done", response }, { ttl: COMPLETED_TTL });
+}
+
+// Failed attempts give the key back so a retry can run again.
+export async function release(store, key) {
+  try {
+    await store.del(key);
+  } catch (err) {
+    console.error("[BrickArt] idempotency release error", err);
+  }
+}
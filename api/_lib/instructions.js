@@ -0,0 +1,150 @@
+// /api/_lib/instructions.js — printable step-by-step build guide (PDF).
+//
+// Page 1: overview of the whole mosaic with section boundaries + colour
+// legend. Then one page per 8×8 section (A1, A2, … row by row), each cell
+// numbered with its legend key, plus the parts needed for that section.
+
+import { createPdf } from "./pdf.js";
+import { paletteFor, readMosaic } from "./bricks.js";
+
+const SECTION = 8; // cells per section side
+const MARGIN = 48;
+
+const luminance = (hex) => {
+  const n = parseInt(String(hex).replace(/^#/, ""), 16);
+  return 0.299 * ((n >> 16) & 255) + 0.587 * ((n >> 8) & 255) + 0.114 * (n & 255);
+};
+const ink = (hex) => (luminance(hex) > 140 ? "#000000" : "#FFFFFF");
+
+const sectionName = (sr, sc) => `${String.fromCharCode(65 + sr)}${sc + 1}`;
+
+// Legend: colours actually used, most bricks first, keyed 1..n.
+function buildLegend(cells, grid) {
+  const hexByName = Object.fromEntries(paletteFor(grid).map((c) => [c.name, c.hex]));
+  const counts = {};
+  for (const name of cells) if (name) counts[name] = (counts[name] || 0) + 1;
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count], i) => ({ key: i + 1, name, count, hex: hexByName[name] || "#CCCCCC" }));
+}
+
+function header(page, title, subtitle) {
+  page.text(MARGIN, MARGIN, title, { size: 18, bold: true });
+  if (subtitle) page.text(MARGIN, MARGIN + 18, subtitle, { size: 10, color: "#555555" });
+}
+
+function drawLegend(page, legend, top, counts = null) {
+  page.text(MARGIN, top, counts ? "Parts for this section" : "Colour legend", { size: 12, bold: true });
+  const rows = legend.filter((l) => !counts || counts[l.name]);
+  const colW = (page.width - MARGIN * 2) / 3;
+  rows.forEach((l, i) => {
+    const x = MARGIN + (i % 3) * colW;
+    const y = top + 12 + Math.floor(i / 3) * 20;
+    page.rect(x, y, 14, 14, { fill: l.hex, stroke: "#333333" });
+    page.text(x + 7, y + 10.5, String(l.key), { size: 7, color: ink(l.hex), align: "center", bold: true });
+    page.text(x + 20, y + 11, `${l.name} × ${counts ? counts[l.name] : l.count}`, { size: 10 });
+  });
+}
+
+// → PDF Buffer
+export function renderInstructionsPdf({ cells, grid, nickname }) {
+  const legend = buildLegend(cells, grid);
+  const keyOf = Object.fromEntries(legend.map((l) => [l.name, l]));
+  const perSide = Math.ceil(grid / SECTION);
+  const pdf = createPdf();
+  const title = `Brick Art build guide — ${nickname || "Anonymous"}`;
+
+  // --- Overview page ---
+  const cover = pdf.addPage();
+  const total = cells.filter(Boolean).length;
+  header(cover, title, `${grid}x${grid} mosaic · ${total} bricks · ${perSide * perSide} sections`);
+  const size = cover.width - MARGIN * 2;
+  const cell = size / grid;
+  const top0 = MARGIN + 40;
+  cells.forEach((name, i) => {
+    const r = Math.floor(i / grid);
+    const c = i % grid;
+    cover.rect(MARGIN + c * cell, top0 + r * cell, cell, cell, {
+      fill: name ? keyOf[name].hex : "#FFFFFF",
+      stroke: "#BBBBBB",
+      lineWidth: 0.25,
+    });
+  });
+  for (let s = 0; s <= perSide; s++) {
+    const o = Math.min(s * SECTION, grid) * cell;
+    cover.line(MARGIN + o, top0, MARGIN + o, top0 + size, { lineWidth: 1.5 });
+    cover.line(MARGIN, top0 + o, MARGIN + size, top0 + o, { lineWidth: 1.5 });
+  }
+  for (let sr = 0; sr < perSide; sr++) {
+    for (let sc = 0; sc < perSide; sc++) {
+      cover.text(
+        MARGIN + (sc + 0.5) * SECTION * cell,
+        top0 + (sr + 0.5) * SECTION * cell + 8,
+        sectionName(sr, sc),
+        { size: 20, bold: true, align: "center", color: "#222222" }
+      );
+    }
+  }
+  drawLegend(cover, legend, top0 + size + 24);
+
+  // --- One page per section ---
+  for (let sr = 0; sr < perSide; sr++) {
+    for (let sc = 0; sc < perSide; sc++) {
+      const page = pdf.addPage();
+      const r0 = sr * SECTION;
+      const c0 = sc * SECTION;
+      const rows = Math.min(SECTION, grid - r0);
+      const cols = Math.min(SECTION, grid - c0);
+      header(
+        page,
+        `Section ${sectionName(sr, sc)}`,
+        `${title} · rows ${r0 + 1}–${r0 + rows}, columns ${c0 + 1}–${c0 + cols}`
+      );
+
+      const sz = (page.width - MARGIN * 2 - 20) / SECTION;
+      const left = MARGIN + 20;
+      const top = MARGIN + 56;
+      const counts = {};
+      for (let r = 0; r < rows; r++) {
+        page.text(left - 6, top + r * sz + sz / 2 + 3, String(r0 + r + 1), { size: 8, align: "right", color: "#555555" });
+        for (let c = 0; c < cols; c++) {
+          if (r === 0) {
+            page.text(left + c * sz + sz / 2, top - 6, String(c0 + c + 1), { size: 8, align: "center", color: "#555555" });
+          }
+          const name = cells[(r0 + r) * grid + (c0 + c)];
+          const x = left + c * sz;
+          const y = top + r * sz;
+          if (!name) {
+            page.rect(x, y, sz, sz, { stroke: "#999999" });
+            continue;
+          }
+          counts[name] = (counts[name] || 0) + 1;
+          const l = keyOf[name];
+          page.rect(x, y, sz, sz, { fill: l.hex, stroke: "#333333" });
+          page.text(x + sz / 2, y + sz / 2 + 5, String(l.key), {
+            size: 14,
+            bold: true,
+            align: "center",
+            color: ink(l.hex),
+          });
+        }
+      }
+      drawLegend(page, legend, top + SECTION * sz + 28, counts);
+    }
+  }
+
+  return pdf.toBuffer();
+}
+
+// Convenience for handlers: base64 PNG (or mosaicImage()) + grid → PDF
+// Buffer (or null when the image cannot be read as a grid×grid mosaic).
+export function instructionsFromImage(imageB64, grid, nickname) {
+  if (!imageB64 || !grid) return null;
+  try {
+    const { cells } = readMosaic(imageB64, grid);
+    return renderInstructionsPdf({ cells, grid, nickname });
+  } catch (err) {
+    console.error("[BrickArt] Build guide generation failed:", err?.message || err);
+    return null;
+  }
+}
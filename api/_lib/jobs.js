@@ -0,0 +1,163 @@
+// /api/_lib/jobs.js — durable job queue with retries and a dead-letter list.
+//
+// A job is stored at `job:<id>` and its id sits on the `jobs:queue` list
+// until it succeeds. The payload (which can hold a few MB of image) is
+// written once to `jobpayload:<id>`, so status changes and checkpoints only
+// rewrite the small job record. Handlers receive (job, checkpoint), with
+// job.payload loaded: calling checkpoint(step, data) persists progress so a
+// retry resumes after the last finished step instead of starting over.
+// Failures back off exponentially; after MAX_ATTEMPTS (or on a non-retryable
+// error) the job moves to `jobs:dead` for a human to replay.
+
+import { randomUUID } from "node:crypto";
+
+export const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 8);
+const BASE_DELAY = 30;        // seconds
+const MAX_DELAY = 60 * 60;
+const DONE_TTL = 30 * 24 * 3600;
+const LOCK_TTL = 5 * 60;
+
+export const QUEUE = "jobs:queue";
+export const DEAD = "jobs:dead";
+
+const jobKey = (id) => `job:${id}`;
+const payloadKey = (id) => `jobpayload:${id}`;
+
+export function backoffSeconds(attempts) {
+  return Math.min(BASE_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_DELAY);
+}
+
+export async function enqueue(store, type, payload) {
+  const job = {
+    id: randomUUID(),
+    type,
+    status: "queued",
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: Date.now(),
+    checkpoints: {},
+    errors: [],
+    // enough to list the job without loading its payload
+    summary: { nickname: payload?.nickname, timestamp: payload?.timestamp },
+  };
+  await store.set(payloadKey(job.id), payload);
+  await store.set(jobKey(job.id), job);
+  await store.lpush(QUEUE, job.id);
+  return { ...job, payload };
+}
+
+// The job record, without its payload.
+export const getJob = (store, id) => store.get(jobKey(id));
+
+export const getJobPayload = (store, id) => store.get(payloadKey(id));
+
+const saveJob = (store, { payload: _payload, ...job }, opts) =>
+  store.set(jobKey(job.id), job, opts);
+
+// Runs one job if nobody else holds its lock. Returns the updated job, or
+// null when it was locked / missing.
+export async function runJob(store, id, handlers) {
+  if (!(await store.set(`joblock:${id}`, 1, { ttl: LOCK_TTL, nx: true }))) {
+    return null;
+  }
+  try {
+    const job = await getJob(store, id);
+    if (!job || job.status === "done" || job.status === "dead") return job;
+    const handler = handlers[job.type];
+    if (!handler) throw new Error(`No handler for job type '${job.type}'`);
+    job.payload = await getJobPayload(store, id);
+
+    job.status = "running";
+    job.attempts += 1;
+    await saveJob(store, job);
+
+    const checkpoint = async (step, data = {}) => {
+      job.checkpoints[step] = { ...data, at: new Date().toISOString() };
+      await saveJob(store, job);
+    };
+
+    try {
+      job.result = await handler(job, checkpoint);
+      job.status = "done";
+      job.finishedAt = new Date().toISOString();
+      // the article now holds the submission (and erasure reaches it there);
+      // the job only keeps what settles its idempotency record
+      await store.set(payloadKey(id), { idemKey: job.payload?.idemKey }, { ttl: DONE_TTL });
+      await saveJob(store, job, { ttl: DONE_TTL });
+      await store.lrem(QUEUE, id);
+      console.log("[BrickArt] Job done:", job.type, id, "attempt", job.attempts);
+    } catch (err) {
+      const message = err?.message || String(err);
+      job.errors = [...job.errors, { at: new Date().toISOString(), attempt: job.attempts, message }].slice(-10);
+      // ShopifyError marks 4xx-style failures as not worth retrying
+      if (job.attempts >= MAX_ATTEMPTS || err?.retryable === false) {
+        job.status = "dead";
+        await saveJob(store, job);
+        await store.lrem(QUEUE, id);
+        await store.lpush(DEAD, id);
+        console.error("[BrickArt] Job dead-lettered:", job.type, id, message);
+      } else {
+        job.status = "retrying";
+        job.nextAttemptAt = Date.now() + backoffSeconds(job.attempts) * 1000;
+        await saveJob(store, job);
+        console.warn("[BrickArt] Job failed, will retry:", job.type, id, message);
+      }
+    }
+    return job;
+  } finally {
+    await store.del(`joblock:${id}`);
+  }
+}
+
+// Worker tick: run up to `limit` queued jobs whose backoff has elapsed.
+export async function runDueJobs(store, handlers, { limit = 5 } = {}) {
+  const ids = await store.lrange(QUEUE, 0, -1);
+  const ran = [];
+  // oldest first (lpush keeps newest at the head)
+  for (const id of ids.reverse()) {
+    if (ran.length >= limit) break;
+    const job = await getJob(store, id);
+    if (!job) {
+      await store.lrem(QUEUE, id);
+      continue;
+    }
+    if (job.nextAttemptAt > Date.now()) continue;
+    const after = await runJob(store, id, handlers);
+    if (after) ran.push({ id, type: after.type, status: after.status, attempts: after.attempts });
+  }
+  return ran;
+}
+
+export async function listJobs(store, list = QUEUE) {
+  const ids = await store.lrange(list, 0, -1);
+  const jobs = [];
+  for (const id of ids) {
+    const job = await getJob(store, id);
+    if (!job) continue;
+    const { summary, ...meta } = job;
+    jobs.push({ ...meta, nickname: summary?.nickname, timestamp: summary?.timestamp });
+  }
+  return jobs;
+}
+
+// Drop a job wherever it is (queued, dead or done).
+export async function deleteJob(store, id) {
+  await store.del(jobKey(id));
+  await store.del(payloadKey(id));
+  await store.lrem(QUEUE, id);
+  await store.lrem(DEAD, id);
+}
+
+// Move a dead-lettered job back onto the queue with a fresh attempt budget.
+// Checkpoints are kept, so it resumes where it stopped.
+export async function replayJob(store, id) {
+  const job = await getJob(store, id);
+  if (!job || job.status !== "dead") return null;
+  job.status = "queued";
+  job.attempts = 0;
+  job.nextAttemptAt = Date.now();
+  await saveJob(store, job);
+  await store.lrem(DEAD, id);
+  await store.lpush(QUEUE, id);
+  return job;
+}
@@ -0,0 +1,252 @@
+// /api/_lib/metafields.js — the brickart.* metafields on submission articles.
+//
+// DEFINITIONS is the source of truth for keys and types; scripts/setup-shopify.js
+// creates them as metafield definitions (so they're typed, visible in the
+// admin and usable in theme filters) and can optionally create the
+// brick_art_submission metaobject definition too. Writes go through
+// setMetafields(), one metafieldsSet mutation per 25 values.
+
+import { ShopifyError, apiVersionAtLeast } from "./shopify.js";
+
+export const NAMESPACE = "brickart";
+export const METAOBJECT_TYPE = "brick_art_submission";
+
+const text = "single_line_text_field";
+
+export const DEFINITIONS = [
+  { key: "nickname", name: "Nickname", type: text },
+  { key: "grid", name: "Grid size", type: "number_integer" },
+  { key: "baseplate", name: "Baseplate", type: text },
+  { key: "category", name: "Category", type: text },
+  { key: "total_bricks", name: "Total bricks", type: "number_integer" },
+  { key: "brick_counts", name: "Palette counts", type: "json" },
+  { key: "images", name: "Image URLs", type: "json" },
+  { key: "design", name: "Design source file", type: "url" },
+  { key: "remixed_from", name: "Remixed from", type: "article_reference" },
+  // written on every API version; lineage is read from this one
+  { key: "remix_parent_id", name: "Remixed from (article ID)", type: "number_integer" },
+  { key: "moderation_status", name: "Moderation status", type: text },
+  { key: "moderation", name: "Moderation record", type: "json" },
+  { key: "submitter_email", name: "Submitter email", type: text },
+  { key: "locale", name: "Email language", type: text },
+  { key: "consent", name: "Consent record", type: "json" },
+  { key: "count_check", name: "Brick count check", type: "json" },
+  { key: "flags", name: "Moderation flags", type: "json" },
+  { key: "screening", name: "Content screening", type: "json" },
+  { key: "phash", name: "Perceptual hash", type: text },
+  { key: "duplicates", name: "Possible duplicates", type: "json" },
+  { key: "notifications", name: "Emails sent", type: "json" },
+  { key: "idempotency_key", name: "Idempotency key", type: text },
+];
+
+const TYPE_OF = Object.fromEntries(DEFINITIONS.map((d) => [d.key, d.type]));
+
+// Keys whose type needs a newer Admin API than DEFAULT_API_VERSION; on older
+// versions they are neither defined nor written.
+const MIN_API_VERSION = { remixed_from: "2025-01" };
+
+export const supportsMetafield = (shop, key) =>
+  !MIN_API_VERSION[key] || apiVersionAtLeast(shop.apiVersion, MIN_API_VERSION[key]);
+
+export const articleGid = (id) => `gid://shopify/Article/${id}`;
+
+// Shopify wants every value as a string.
+function serialise(type, value) {
+  return type === "json" ? JSON.stringify(value) : String(value);
+}
+
+// Writes { key: value } pairs (null / undefined are skipped).
+export async function setMetafields(shop, articleId, values) {
+  const metafields = Object.entries(values)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([key, value]) => {
+      const type = TYPE_OF[key] || "json";
+      return {
+        ownerId: articleGid(articleId),
+        namespace: NAMESPACE,
+        key,
+        type,
+        value: serialise(type, value),
+      };
+    });
+
+  const MUTATION = `
+    mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields { key namespace value }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const saved = [];
+  for (let i = 0; i < metafields.length; i += 25) {
+    const data = await shop.gql(MUTATION, { metafields: metafields.slice(i, i + 25) });
+    const errs = data?.metafieldsSet?.userErrors || [];
+    if (errs.length) {
+      throw new ShopifyError("metafieldsSet", { errors: errs, retryable: false });
+    }
+    saved.push(...(data?.metafieldsSet?.metafields || []));
+  }
+  return saved;
+}
+
+// One metafield across many articles, 250 per query.
+// → Map(articleId → value); articles without it are left out.
+export async function metafieldValues(shop, articleIds, key) {
+  const QUERY = `
+    query metafieldValues($ids: [ID!]!, $namespace: String!, $key: String!) {
+      nodes(ids: $ids) {
+        id
+        ... on HasMetafields {
+          metafield(namespace: $namespace, key: $key) { value }
+        }
+      }
+    }
+  `;
+  const values = new Map();
+  for (let i = 0; i < articleIds.length; i += 250) {
+    const data = await shop.gql(QUERY, {
+      ids: articleIds.slice(i, i + 250).map(articleGid),
+      namespace: NAMESPACE,
+      key,
+    });
+    for (const node of data?.nodes || []) {
+      const id = Number(String(node?.id).match(/\/(\d+)$/)?.[1]);
+      if (id && node.metafield) values.set(id, node.metafield.value);
+    }
+  }
+  return values;
+}
+
+// --- Setup (idempotent: existing definitions are reported, not changed) ---
+
+export async function ensureDefinitions(shop) {
+  const MUTATION = `
+    mutation metafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+      metafieldDefinitionCreate(definition: $definition) {
+        createdDefinition { id key }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const results = [];
+  for (const d of DEFINITIONS) {
+    if (!supportsMetafield(shop, d.key)) {
+      results.push({ key: d.key, status: `skipped (needs API ${MIN_API_VERSION[d.key]})` });
+      continue;
+    }
+    const data = await shop.gql(MUTATION, {
+      definition: { ...d, namespace: NAMESPACE, ownerType: "ARTICLE" },
+    });
+    const out = data?.metafieldDefinitionCreate;
+    const errs = out?.userErrors || [];
+    results.push({
+      key: d.key,
+      status: out?.createdDefinition
+        ? "created"
+        : errs.some((e) => e.code === "TAKEN")
+          ? "exists"
+          : "error",
+      ...(errs.length && !errs.some((e) => e.code === "TAKEN") ? { errors: errs } : {}),
+    });
+  }
+  return results;
+}
+
+const METAOBJECT_KEYS = [
+  "nickname",
+  "grid",
+  "baseplate",
+  "category",
+  "total_bricks",
+  "brick_counts",
+  "images",
+  "moderation_status",
+];
+const METAOBJECT_FIELDS = [
+  ...DEFINITIONS.filter((d) => METAOBJECT_KEYS.includes(d.key)),
+  { key: "article_id", name: "Article ID", type: text },
+];
+
+export async function ensureMetaobjectDefinition(shop) {
+  const MUTATION = `
+    mutation metaobjectDefinitionCreate($definition: MetaobjectDefinitionCreateInput!) {
+      metaobjectDefinitionCreate(definition: $definition) {
+        metaobjectDefinition { id type }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const data = await shop.gql(MUTATION, {
+    definition: {
+      type: METAOBJECT_TYPE,
+      name: "Brick Art submission",
+      displayNameKey: "nickname",
+      fieldDefinitions: METAOBJECT_FIELDS,
+    },
+  });
+  const out = data?.metaobjectDefinitionCreate;
+  const errs = out?.userErrors || [];
+  if (out?.metaobjectDefinition) return { type: METAOBJECT_TYPE, status: "created" };
+  if (errs.some((e) => e.code === "TAKEN")) return { type: METAOBJECT_TYPE, status: "exists" };
+  return { type: METAOBJECT_TYPE, status: "error", errors: errs };
+}
+
+// One metaobject per article, so later decisions and deletions find it again.
+export const submissionMetaobjectHandle = (articleId) => `submission-${articleId}`;
+
+// Mirrors a submission into a brick_art_submission metaobject (handle from
+// submissionMetaobjectHandle()), for stores that opted in with
+// SUBMISSION_METAOBJECT=1.
+export async function upsertSubmissionMetaobject(shop, handle, values) {
+  const fields = METAOBJECT_FIELDS.filter((f) => values[f.key] != null).map((f) => ({
+    key: f.key,
+    value: serialise(f.type, values[f.key]),
+  }));
+  const MUTATION = `
+    mutation metaobjectUpsert($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+      metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+        metaobject { id handle }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const data = await shop.gql(MUTATION, {
+    handle: { type: METAOBJECT_TYPE, handle },
+    metaobject: { fields },
+  });
+  const errs = data?.metaobjectUpsert?.userErrors || [];
+  if (errs.length) {
+    throw new ShopifyError("metaobjectUpsert", { errors: errs, retryable: false });
+  }
+  return data?.metaobjectUpsert?.metaobject;
+}
+
+// → the deleted metaobject's ID, or null when there was none.
+export async function deleteSubmissionMetaobject(shop, articleId) {
+  const FIND = `
+    query metaobjectByHandle($handle: MetaobjectHandleInput!) {
+      metaobjectByHandle(handle: $handle) { id }
+    }
+  `;
+  const found = await shop.gql(FIND, {
+    handle: { type: METAOBJECT_TYPE, handle: submissionMetaobjectHandle(articleId) },
+  });
+  const id = found?.metaobjectByHandle?.id;
+  if (!id) return null;
+
+  const MUTATION = `
+    mutation metaobjectDelete($id: ID!) {
+      metaobjectDelete(id: $id) {
+        deletedId
+        userErrors { field message code }
+      }
+    }
+  `;
+  const data = await shop.gql(MUTATION, { id });
+  const errs = data?.metaobjectDelete?.userErrors || [];
+  if (errs.length) {
+    throw new ShopifyError("metaobjectDelete", { errors: errs, retryable: false });
+  }
+  return data?.metaobjectDelete?.deletedId || null;
+}
@@ -0,0 +1,344 @@
+// /api/_lib/moderation.js — moderation queue for gallery submissions.
+// api/submit.js creates every article unpublished; these helpers list that
+// queue and apply approve / reject / request-changes decisions. The latest
+// decision (plus prior ones) lives in the brickart.moderation metafield.
+// Approve / reject also email the submitter once per decision (recorded in
+// the brickart.notifications metafield); pass { notify: false } to skip.
+
+import { notifyDecision } from "./notifications.js";
+import {
+  deleteSubmissionMetaobject,
+  setMetafields,
+  submissionMetaobjectHandle,
+  upsertSubmissionMetaobject,
+} from "./metafields.js";
+import { forgetHashes } from "./phash.js";
+import { getStore } from "./store.js";
+import { getSuppression } from "./suppression.js";
+import { ShopifyError } from "./shopify.js";
+
+export const STATUSES = ["pending", "approved", "rejected", "changes_requested"];
+
+// Pull the brickart.* metafields of an article into a plain object.
+export async function getArticleMetafields(shop, articleId) {
+  const r = await shop.rest(
+    `/articles/${articleId}/metafields.json?namespace=brickart`
+  );
+  if (!r.ok) {
+    throw new ShopifyError("metafields", { status: r.status, errors: r.data });
+  }
+  const out = {};
+  for (const mf of r.data?.metafields || []) {
+    let value = mf.value;
+    if (mf.type === "json" && typeof value === "string") {
+      try {
+        value = JSON.parse(value);
+      } catch {}
+    }
+    out[mf.key] = value;
+  }
+  return out;
+}
+
+// Types come from the definitions in metafields.js.
+export async function setArticleMetafield(shop, articleId, key, value) {
+  const [metafield] = await setMetafields(shop, articleId, { [key]: value });
+  return metafield;
+}
+
+// Image URLs the submit handler embedded in body_html (clean + logo).
+export function imageUrlsFromHtml(html = "") {
+  return [...String(html).matchAll(/<img[^>]+src="([^"]+)"/g)].map((m) => m[1]);
+}
+
+// Every Shopify Files URL the article points at (images + PDF guide).
+export function fileUrlsFromHtml(html = "") {
+  return [...String(html).matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map((m) => m[1])
+    .filter((u) => /cdn\.shopify\.com|\/cdn\/shop\/files\//.test(u));
+}
+
+function summarize(article, mf) {
+  return {
+    articleId: article.id,
+    title: article.title,
+    handle: article.handle,
+    tags: article.tags,
+    createdAt: article.created_at,
+    published: !!article.published_at,
+    submitterEmail: mf.submitter_email || null,
+    brickCounts: mf.brick_counts || null,
+    moderation: mf.moderation || { status: "pending" },
+    flags: mf.flags || [],
+    riskScore: mf.screening?.score ?? 0,
+    screening: mf.screening || null,
+    duplicates: mf.duplicates || [],
+    countCheck: mf.count_check || null,
+    images: imageUrlsFromHtml(article.body_html),
+    variants: mf.images || null,
+  };
+}
+
+// Shopify REST paginates with a page_info cursor in the Link header.
+export function nextPageInfo(headers) {
+  const link = headers?.get?.("link") || "";
+  const m = link.match(/<[^>]*[?&]page_info=([^&>]+)[^>]*>;\s*rel="next"/);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+// status: "unpublished" | "published" | "any" (Shopify's published_status).
+export async function listSubmissions(
+  shop,
+  BLOG_ID,
+  { status = "unpublished", limit = 25, pageInfo } = {}
+) {
+  const n = Math.min(Math.max(Number(limit) || 25, 1), 250);
+  // page_info cursors already encode the original filters
+  const qs = pageInfo
+    ? `limit=${n}&page_info=${encodeURIComponent(pageInfo)}`
+    : `limit=${n}&published_status=${status}`;
+  const r = await shop.rest(`/blogs/${BLOG_ID}/articles.json?${qs}`);
+  if (!r.ok) {
+    throw new ShopifyError("listArticles", { status: r.status, errors: r.data });
+  }
+  const articles = r.data?.articles || [];
+  const submissions = [];
+  for (const a of articles) {
+    submissions.push(summarize(a, await getArticleMetafields(shop, a.id)));
+  }
+  return { submissions, nextPageInfo: nextPageInfo(r.headers) };
+}
+
+// The moderation queue: riskiest first (within the page), so screening
+// flags get looked at.
+export async function listPending(shop, BLOG_ID, { limit = 25, pageInfo } = {}) {
+  const page = await listSubmissions(shop, BLOG_ID, { status: "unpublished", limit, pageInfo });
+  page.submissions.sort((a, b) => b.riskScore - a.riskScore);
+  return page;
+}
+
+export async function getArticle(shop, BLOG_ID, articleId) {
+  const r = await shop.rest(`/blogs/${BLOG_ID}/articles/${articleId}.json`);
+  if (r.status === 404) return null;
+  if (!r.ok) {
+    throw new ShopifyError("getArticle", { status: r.status, errors: r.data });
+  }
+  return r.data?.article || null;
+}
+
+export async function getSubmission(shop, BLOG_ID, articleId) {
+  const article = await getArticle(shop, BLOG_ID, articleId);
+  if (!article) return null;
+  return summarize(article, await getArticleMetafields(shop, articleId));
+}
+
+function decisionRecord(previous, status, { moderator, note } = {}) {
+  const history = [...(previous?.history || [])];
+  if (previous?.status && previous.status !== "pending") {
+    const { history: _ignored, ...prev } = previous;
+    history.push(prev);
+  }
+  return {
+    status,
+    decidedAt: new Date().toISOString(),
+    moderator: moderator || null,
+    note: note || null,
+    history,
+  };
+}
+
+// Same URL shape api/submit.js returns as storefrontUrl.
+export async function storefrontUrl(shop, BLOG_ID, article) {
+  let blogHandle = article?.blog?.handle;
+  if (!blogHandle) {
+    const r = await shop.rest(`/blogs/${BLOG_ID}.json`);
+    blogHandle = r.ok ? r.data?.blog?.handle : null;
+  }
+  return article?.handle && blogHandle
+    ? `https://${shop.store}/blogs/${blogHandle}/${article.handle}`
+    : null;
+}
+
+// Email failures never undo a decision; they are reported as "failed".
+async function notify(shop, articleId, mf, decision, extra = {}) {
+  try {
+    return await notifyDecision({
+      decision,
+      email: mf.submitter_email,
+      notifications: mf.notifications,
+      locale: mf.locale,
+      ref: articleId,
+      suppression: await getSuppression(getStore(), mf.submitter_email),
+      ...extra,
+      record: (value) =>
+        setArticleMetafield(shop, articleId, "notifications", value),
+    });
+  } catch (err) {
+    console.error("[BrickArt] Decision email error", decision, err);
+    return "failed";
+  }
+}
+
+// Writes the decision to the article and, with SUBMISSION_METAOBJECT=1, to
+// its metaobject mirror (a rejected one is deleted with the article instead).
+async function recordDecision(shop, articleId, mf, status, opts) {
+  const record = decisionRecord(mf.moderation, status, opts);
+  await setMetafields(shop, articleId, { moderation: record, moderation_status: status });
+  if (process.env.SUBMISSION_METAOBJECT === "1" && status !== "rejected") {
+    try {
+      await upsertSubmissionMetaobject(shop, submissionMetaobjectHandle(articleId), {
+        ...mf,
+        moderation_status: status,
+        article_id: String(articleId),
+      });
+    } catch (moErr) {
+      console.error("[BrickArt] Submission metaobject error", moErr);
+    }
+  }
+  return record;
+}
+
+export async function approveSubmission(shop, BLOG_ID, articleId, opts = {}) {
+  const article = await getArticle(shop, BLOG_ID, articleId);
+  if (!article) return null;
+  const mf = await getArticleMetafields(shop, articleId);
+
+  const r = await shop.rest(`/blogs/${BLOG_ID}/articles/${articleId}.json`, {
+    method: "PUT",
+    body: JSON.stringify({
+      article: {
+        id: article.id,
+        published: true,
+        published_at: new Date().toISOString(),
+      },
+    }),
+  });
+  if (!r.ok) {
+    throw new ShopifyError("publishArticle", { status: r.status, errors: r.data });
+  }
+
+  const published = r.data?.article || article;
+  const moderation = await recordDecision(shop, articleId, mf, "approved", opts);
+  const url = await storefrontUrl(shop, BLOG_ID, published);
+  const notified =
+    opts.notify === false
+      ? "skipped"
+      : await notify(shop, articleId, mf, "approved", { storefrontUrl: url });
+  return { ...summarize(published, mf), moderation, storefrontUrl: url, notified };
+}
+
+export async function requestChanges(shop, BLOG_ID, articleId, opts = {}) {
+  const article = await getArticle(shop, BLOG_ID, articleId);
+  if (!article) return null;
+  const mf = await getArticleMetafields(shop, articleId);
+  const moderation = await recordDecision(shop, articleId, mf, "changes_requested", opts);
+  return { ...summarize(article, mf), moderation };
+}
+
+const lastPathPart = (url) => {
+  try {
+    return new URL(url).pathname.split("/").pop() || null;
+  } catch {
+    return null;
+  }
+};
+
+// Look up Shopify File IDs for CDN URLs by their filename. The search is
+// fuzzy ("x-clean.png" also finds "x-clean_1a2b.png"), so only Files whose
+// own URL ends in exactly that name count.
+async function fileIdsForUrls(shop, urls) {
+  const QUERY = `
+    query files($q: String!) {
+      files(first: 5, query: $q) {
+        edges {
+          node {
+            ... on MediaImage { id image { url } }
+            ... on GenericFile { id url }
+          }
+        }
+      }
+    }
+  `;
+  const ids = [];
+  for (const url of urls) {
+    const filename = lastPathPart(url);
+    if (!filename) continue;
+    const data = await shop.gql(QUERY, { q: `filename:${filename}` });
+    for (const { node } of data?.files?.edges || []) {
+      if (lastPathPart(node.image?.url || node.url) === filename) ids.push(node.id);
+    }
+  }
+  return ids;
+}
+
+// Every Files URL a submission owns. Variants like the social card and the
+// design source only appear in the metafields.
+export function submissionFileUrls(article, mf) {
+  return [
+    ...new Set([
+      ...fileUrlsFromHtml(article.body_html),
+      ...Object.values(mf.images || {}).filter(Boolean),
+      ...(mf.design ? [mf.design] : []),
+    ]),
+  ];
+}
+
+// → the IDs Shopify reports as deleted; userErrors are logged, not thrown.
+export async function deleteFiles(shop, fileIds) {
+  if (!fileIds.length) return [];
+  const FILE_DELETE = `
+    mutation fileDelete($fileIds: [ID!]!) {
+      fileDelete(fileIds: $fileIds) {
+        deletedFileIds
+        userErrors { field message }
+      }
+    }
+  `;
+  const data = await shop.gql(FILE_DELETE, { fileIds });
+  const errs = data?.fileDelete?.userErrors || [];
+  if (errs.length) {
+    console.warn("[BrickArt] fileDelete userErrors:", errs);
+  }
+  return data?.fileDelete?.deletedFileIds || [];
+}
+
+// Delete an article, every File it referenced and its metaobject mirror
+// (SUBMISSION_METAOBJECT=1); → deleted File IDs. Shared by reject and the
+// privacy erasure endpoint.
+export async function deleteSubmission(shop, BLOG_ID, article, mf) {
+  const fileIds = await fileIdsForUrls(shop, submissionFileUrls(article, mf));
+  await deleteFiles(shop, fileIds);
+  if (process.env.SUBMISSION_METAOBJECT === "1") {
+    await deleteSubmissionMetaobject(shop, article.id);
+  }
+
+  const r = await shop.rest(`/blogs/${BLOG_ID}/articles/${article.id}.json`, {
+    method: "DELETE",
+  });
+  if (!r.ok) {
+    throw new ShopifyError("deleteArticle", { status: r.status, errors: r.data });
+  }
+
+  return fileIds;
+}
+
+// Reject = delete the article and the Files it referenced. The decision is
+// written to the metafield first so it is visible if a later step fails.
+export async function rejectSubmission(shop, BLOG_ID, articleId, opts = {}) {
+  const article = await getArticle(shop, BLOG_ID, articleId);
+  if (!article) return null;
+  const mf = await getArticleMetafields(shop, articleId);
+  const moderation = await recordDecision(shop, articleId, mf, "rejected", opts);
+  const summary = summarize(article, mf);
+
+  // must go out before the article (and its metafields) are deleted
+  const notified =
+    opts.notify === false
+      ? "skipped"
+      : await notify(shop, articleId, mf, "rejected", { note: opts.note });
+
+  const fileIds = await deleteSubmission(shop, BLOG_ID, article, mf);
+  // a rejected design must not flag later submissions as duplicates
+  await forgetHashes(getStore(), [articleId]);
+  return { ...summary, moderation, notified, deletedFileIds: fileIds, deleted: true };
+}
@@ -0,0 +1,51 @@
+// /api/_lib/notifications.js — emails sent to submitters when a moderator
+// approves or rejects their gallery submission.
+
+import { sendMail } from "./sendgrid.js";
+import { renderEmail } from "./templates.js";
+import { trackingArgs } from "./emailevents.js";
+
+const GALLERY_URL = "https://www.brick-art.com/pages/brick-art-gallery";
+
+// Decisions with an email template in api/_lib/emails/.
+export const DECISION_TEMPLATES = ["approved", "rejected"];
+
+// Sends the email for `decision` unless brickart.notifications already
+// records one. Returns "sent", "already_sent", "no_email" or "suppressed"
+// (the address unsubscribed from all email). Delivery events are filed
+// under `ref` (the article ID).
+export async function notifyDecision({
+  decision,
+  email,
+  notifications = {},
+  storefrontUrl,
+  note,
+  record,
+  locale,
+  ref,
+  suppression,
+}) {
+  if (!DECISION_TEMPLATES.includes(decision)) return null;
+  if (!email) return "no_email";
+  if (notifications?.[decision]) return "already_sent";
+  if (suppression?.scope === "all") return "suppressed";
+
+  const { subject, text, html } = renderEmail(
+    decision,
+    { url: storefrontUrl || GALLERY_URL, galleryUrl: GALLERY_URL, note },
+    locale
+  );
+  await sendMail({
+    ...(ref ? trackingArgs(decision, ref) : {}),
+    personalizations: [{ to: [{ email }] }],
+    subject,
+    content: [
+      { type: "text/plain", value: text },
+      { type: "text/html", value: html },
+    ],
+  });
+
+  await record({ ...(notifications || {}), [decision]: new Date().toISOString() });
+  console.log("[BrickArt] Decision email sent:", decision);
+  return "sent";
+}
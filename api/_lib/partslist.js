@@ -0,0 +1,118 @@
+// /api/_lib/partslist.js — brick counts → machine-readable parts lists.
+//
+// CSV for spreadsheets and a BrickLink "wanted list" XML for buying bricks.
+// Colour names map to a BrickLink part + colour ID; override the defaults
+// with BRICKLINK_MAPPING as JSON, e.g. { "red": { "part": "3024", "colorId": 5 } }.
+
+export const DEFAULT_PART = process.env.BRICKLINK_PART || "3024"; // Plate 1 x 1
+
+export const DEFAULT_COLOR_IDS = {
+  white: 1,
+  black: 11,
+  red: 5,
+  orange: 4,
+  yellow: 3,
+  lime: 34,
+  green: 6,
+  "light blue": 105,
+  blue: 7,
+  purple: 24,
+  pink: 104,
+  brown: 88,
+  tan: 2,
+  "light gray": 86,
+  "dark gray": 85,
+};
+
+export function colourMapping() {
+  const map = {};
+  for (const [name, colorId] of Object.entries(DEFAULT_COLOR_IDS)) {
+    map[name] = { part: DEFAULT_PART, colorId };
+  }
+  if (process.env.BRICKLINK_MAPPING) {
+    try {
+      const cfg = JSON.parse(process.env.BRICKLINK_MAPPING);
+      for (const [name, v] of Object.entries(cfg)) {
+        map[name.toLowerCase()] = { part: v.part || DEFAULT_PART, colorId: v.colorId };
+      }
+    } catch (err) {
+      console.error("[BrickArt] BRICKLINK_MAPPING is not valid JSON", err);
+    }
+  }
+  return map;
+}
+
+// → [{ colour, quantity, part, colorId }] highest quantity first
+export function partsRows(brickCounts = {}, mapping = colourMapping()) {
+  return Object.entries(brickCounts)
+    .filter(([, n]) => Number(n) > 0)
+    .sort((a, b) => Number(b[1]) - Number(a[1]))
+    .map(([colour, n]) => {
+      const m = mapping[String(colour).trim().toLowerCase()] || {};
+      return {
+        colour,
+        quantity: Number(n),
+        part: m.part || null,
+        colorId: m.colorId ?? null,
+      };
+    });
+}
+
+// Colour names come from the submitter; a leading = + - @ (or tab / CR)
+// would make a spreadsheet run the cell as a formula, so it gets a '.
+const csvCell = (v) => {
+  let s = v == null ? "" : String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(brickCounts, mapping) {
+  const lines = [["colour", "quantity", "part", "bricklink_color_id"].join(",")];
+  for (const r of partsRows(brickCounts, mapping)) {
+    lines.push([r.colour, r.quantity, r.part, r.colorId].map(csvCell).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+const xmlEsc = (s) =>
+  String(s).replace(/[&<>"']/g, (m) =>
+    ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[m])
+  );
+
+// BrickLink wanted-list upload format. Colours without a mapping are left
+// out and returned in `unmapped` so callers can surface them.
+export function toBrickLinkXml(brickCounts, mapping) {
+  const rows = partsRows(brickCounts, mapping);
+  const items = rows
+    .filter((r) => r.part && r.colorId != null)
+    .map(
+      (r) =>
+        `  <ITEM>\n` +
+        `    <ITEMTYPE>P</ITEMTYPE>\n` +
+        `    <ITEMID>${xmlEsc(r.part)}</ITEMID>\n` +
+        `    <COLOR>${xmlEsc(r.colorId)}</COLOR>\n` +
+        `    <MINQTY>${r.quantity}</MINQTY>\n` +
+        `  </ITEM>`
+    );
+  return {
+    xml: `<?xml version="1.0" encoding="UTF-8"?>\n<INVENTORY>\n${items.join("\n")}\n</INVENTORY>\n`,
+    unmapped: rows.filter((r) => !r.part || r.colorId == null).map((r) => r.colour),
+  };
+}
+
+// Both exports as SendGrid / Shopify-ready attachments.
+export function partsListFiles(brickCounts, baseName) {
+  if (!brickCounts || !Object.keys(brickCounts).length) return [];
+  return [
+    {
+      filename: `${baseName}-parts.csv`,
+      type: "text/csv",
+      content: Buffer.from(toCsv(brickCounts)).toString("base64"),
+    },
+    {
+      filename: `${baseName}-bricklink.xml`,
+      type: "application/xml",
+      content: Buffer.from(toBrickLinkXml(brickCounts).xml).toString("base64"),
+    },
+  ];
+}
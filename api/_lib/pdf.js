@@ -0,0 +1,100 @@
+// /api/_lib/pdf.js — minimal multi-page PDF writer (rectangles, lines and
+// Helvetica text). Enough for printable build guides without a PDF library.
+// Page coordinates are in points with the origin at the TOP-left.
+
+const fmt = (n) => (Math.round(n * 100) / 100).toString();
+
+const rgb = (hex = "#000000") => {
+  const n = parseInt(String(hex).replace(/^#/, ""), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => fmt(v / 255)).join(" ");
+};
+
+// Fonts use WinAnsiEncoding: map the few typographic characters we use,
+// anything else outside Latin-1 becomes "?".
+const WIN_ANSI = { "—": "\x97", "–": "\x96", "’": "\x92", "‘": "\x91", "“": "\x93", "”": "\x94" };
+const pdfString = (s) =>
+  `(${String(s)
+    .replace(/[—–’‘“”]/g, (m) => WIN_ANSI[m])
+    .replace(/[^\x20-\x7e\x80-\xff]/g, "?")
+    .replace(/([\\()])/g, "\\$1")})`;
+
+// Helvetica averages ~0.55em per glyph; good enough for centring labels.
+export const textWidth = (s, size) => String(s).length * size * 0.55;
+
+export function createPdf({ width = 612, height = 792 } = {}) {
+  const pages = [];
+
+  function addPage() {
+    const ops = [];
+    const y = (top) => height - top;
+    const page = {
+      width,
+      height,
+      rect(x, top, w, h, { fill, stroke, lineWidth = 0.5 } = {}) {
+        if (fill) ops.push(`${rgb(fill)} rg`);
+        if (stroke) ops.push(`${rgb(stroke)} RG ${fmt(lineWidth)} w`);
+        ops.push(`${fmt(x)} ${fmt(y(top + h))} ${fmt(w)} ${fmt(h)} re`);
+        ops.push(fill && stroke ? "B" : fill ? "f" : "S");
+        return page;
+      },
+      line(x1, top1, x2, top2, { stroke = "#000000", lineWidth = 1 } = {}) {
+        ops.push(
+          `${rgb(stroke)} RG ${fmt(lineWidth)} w ${fmt(x1)} ${fmt(y(top1))} m ${fmt(x2)} ${fmt(y(top2))} l S`
+        );
+        return page;
+      },
+      // `top` is the text baseline measured from the top edge.
+      text(x, top, str, { size = 10, color = "#000000", bold = false, align = "left" } = {}) {
+        const dx =
+          align === "center" ? textWidth(str, size) / 2
+          : align === "right" ? textWidth(str, size)
+          : 0;
+        ops.push(
+          `BT /${bold ? "F2" : "F1"} ${fmt(size)} Tf ${rgb(color)} rg ${fmt(x - dx)} ${fmt(y(top))} Td ${pdfString(str)} Tj ET`
+        );
+        return page;
+      },
+    };
+    pages.push(ops);
+    return page;
+  }
+
+  function toBuffer() {
+    const objects = [];
+    const add = (body) => objects.push(body); // → 1-based object number
+
+    const catalog = add(null);
+    const pagesObj = add(null);
+    const f1 = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    const f2 = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+    const kids = pages.map((ops) => {
+      const stream = ops.join("\n");
+      const content = add(
+        `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`
+      );
+      return add(
+        `<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+          `/Resources << /Font << /F1 ${f1} 0 R /F2 ${f2} 0 R >> >> /Contents ${content} 0 R >>`
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+    objects[pagesObj - 1] =
+      `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+    let out = "%PDF-1.4\n";
+    const offsets = [];
+    objects.forEach((body, i) => {
+      offsets.push(Buffer.byteLength(out, "latin1"));
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    const xref = Buffer.byteLength(out, "latin1");
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out, "latin1");
+  }
+
+  return { addPage, toBuffer, get pageCount() { return pages.length; } };
+}
@@ -0,0 +1,98 @@
+// /api/_lib/phash.js — near-duplicate detection for submitted mosaics.
+//
+// The hash is colour-aware and per cell: the grid is read back into cell
+// colours (bricks.js), folded into HASH_BLOCKS × HASH_BLOCKS blocks (so a
+// 16×16 and a 32×32 version of a design still compare) and every block's
+// average colour is kept at 4 bits per channel — three hex digits, or "---"
+// for a block with no bricks. "v1:" + 8×8 blocks → a 195-character string.
+//
+// Publishing compares a new hash with the last RECENT_HASHES submissions
+// (kept in the shared store) and records anything at or above
+// DUPLICATE_SIMILARITY (default 0.9 = 90% of blocks match) as a possible
+// duplicate on the draft.
+
+import { gridCells, mosaicImage } from "./bricks.js";
+
+export const HASH_BLOCKS = 8;
+export const RECENT_KEY = "phash:recent";
+const RECENT_HASHES = Number(process.env.RECENT_HASHES || 500);
+const SIMILARITY = Number(process.env.DUPLICATE_SIMILARITY || 0.9);
+const PREFIX = "v1:";
+// blocks match when no channel differs by more than this (of 15)
+const CHANNEL_TOLERANCE = 2;
+
+export function mosaicHash(imageB64, grid) {
+  if (!imageB64 || !grid) return null;
+  const cells = gridCells(mosaicImage(imageB64), grid);
+  const per = grid / HASH_BLOCKS;
+  let out = PREFIX;
+  for (let by = 0; by < HASH_BLOCKS; by++) {
+    for (let bx = 0; bx < HASH_BLOCKS; bx++) {
+      let r = 0, g = 0, b = 0, n = 0;
+      for (let row = by * per; row < (by + 1) * per; row++) {
+        for (let col = bx * per; col < (bx + 1) * per; col++) {
+          const rgb = cells[row * grid + col];
+          if (!rgb) continue;
+          r += rgb[0];
+          g += rgb[1];
+          b += rgb[2];
+          n++;
+        }
+      }
+      out += n
+        ? [r, g, b].map((v) => Math.round(v / n / 17).toString(16)).join("")
+        : "---";
+    }
+  }
+  return out;
+}
+
+// Share of blocks that match, 0..1 (0 for hashes of another version).
+export function hashSimilarity(a, b) {
+  if (!a?.startsWith(PREFIX) || !b?.startsWith(PREFIX) || a.length !== b.length) return 0;
+  const blocks = (a.length - PREFIX.length) / 3;
+  let same = 0;
+  for (let i = PREFIX.length; i < a.length; i += 3) {
+    const x = a.slice(i, i + 3);
+    const y = b.slice(i, i + 3);
+    if (x === "---" || y === "---") {
+      if (x === y) same++;
+      continue;
+    }
+    let close = true;
+    for (let c = 0; c < 3; c++) {
+      if (Math.abs(parseInt(x[c], 16) - parseInt(y[c], 16)) > CHANNEL_TOLERANCE) close = false;
+    }
+    if (close) same++;
+  }
+  return Math.round((same / blocks) * 1000) / 1000;
+}
+
+// → [{ articleId, similarity }], most similar first.
+export async function findDuplicates(store, hash, { exclude } = {}) {
+  if (!hash) return [];
+  const seen = new Set([String(exclude)]);
+  const matches = [];
+  for (const entry of await store.lrange(RECENT_KEY, 0, RECENT_HASHES - 1)) {
+    if (seen.has(String(entry.articleId))) continue;
+    seen.add(String(entry.articleId));
+    const similarity = hashSimilarity(hash, entry.hash);
+    if (similarity >= SIMILARITY) matches.push({ articleId: entry.articleId, similarity });
+  }
+  return matches.sort((a, b) => b.similarity - a.similarity);
+}
+
+export async function rememberHash(store, articleId, hash) {
+  if (!hash || !articleId) return;
+  await store.lpush(RECENT_KEY, { articleId, hash, at: new Date().toISOString() });
+  await store.ltrim(RECENT_KEY, 0, RECENT_HASHES - 1);
+}
+
+// Remove the remembered hashes of these articles (rejection, privacy erasure).
+export async function forgetHashes(store, articleIds) {
+  const ids = new Set([...articleIds].map(String));
+  if (!ids.size) return;
+  for (const entry of await store.lrange(RECENT_KEY, 0, -1)) {
+    if (ids.has(String(entry.articleId))) await store.lrem(RECENT_KEY, entry);
+  }
+}
@@ -0,0 +1,204 @@
+// /api/_lib/png.js — dependency-free PNG codec (node:zlib only).
+// decodePng() handles non-interlaced PNGs of every colour type at bit depth
+// ≤ 8, which covers what canvas.toDataURL() and the mosaic app produce, and
+// returns { width, height, data } with data as RGBA bytes. encodePng() takes
+// the same shape and writes an 8-bit RGBA PNG.
+//
+// Mosaics are small, so decodePng() refuses anything wider or taller than
+// MAX_DIMENSION (and, with { square: true }, anything that isn't square)
+// before inflating, and never inflates more than the header promises.
+
+import { deflateSync, inflateSync } from "node:zlib";
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+export const MAX_DIMENSION = 2048;
+
+export function pngBufferFromBase64(b64 = "") {
+  return Buffer.from(
+    String(b64).replace(/^data:image\/[a-zA-Z0-9.+-]+;base64,/, "").trim(),
+    "base64"
+  );
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+export function decodePng(buf, { square = false } = {}) {
+  if (!Buffer.isBuffer(buf) || !buf.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error("Not a PNG");
+  }
+
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let interlace = 0;
+  let palette = null;
+  let trns = null;
+  const idat = [];
+
+  for (let off = 8; off + 8 <= buf.length; ) {
+    const len = buf.readUInt32BE(off);
+    const type = buf.toString("latin1", off + 4, off + 8);
+    const chunk = buf.subarray(off + 8, off + 8 + len);
+    off += 12 + len;
+
+    if (type === "IHDR") {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      bitDepth = chunk[8];
+      colorType = chunk[9];
+      interlace = chunk[12];
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      trns = chunk;
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (!width || !height) throw new Error("PNG has no IHDR");
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(`PNG is larger than ${MAX_DIMENSION}×${MAX_DIMENSION}`);
+  }
+  if (square && width !== height) throw new Error("PNG is not square");
+  if (!(colorType in CHANNELS) || bitDepth > 8) {
+    throw new Error(`Unsupported PNG (colour type ${colorType}, depth ${bitDepth})`);
+  }
+  if (interlace) throw new Error("Interlaced PNGs are not supported");
+  if (colorType === 3 && !palette) throw new Error("PNG palette missing");
+
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);       // filter byte distance
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const expected = (stride + 1) * height;
+  let raw;
+  try {
+    raw = inflateSync(Buffer.concat(idat), { maxOutputLength: expected });
+  } catch (err) {
+    if (err?.code === "ERR_BUFFER_TOO_LARGE") throw new Error("PNG data is larger than its header");
+    throw err;
+  }
+  if (raw.length < expected) throw new Error("PNG data is truncated");
+
+  // --- Unfilter scanlines ---
+  const pixels = Buffer.alloc(stride * height);
+  let prev = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[x - bpp] : 0;
+      const b = prev[x];
+      const c = x >= bpp ? prev[x - bpp] : 0;
+      let v = line[x];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) v += paeth(a, b, c);
+      out[x] = v & 0xff;
+    }
+    prev = out;
+  }
+
+  // --- Expand to RGBA ---
+  const data = new Uint8Array(width * height * 4);
+  const maxVal = (1 << bitDepth) - 1;
+  const sample = (row, i) => {
+    if (bitDepth === 8) return row[i];
+    const bit = i * bitDepth;
+    return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxVal;
+  };
+  const scale = (v) => Math.round((v * 255) / maxVal);
+
+  for (let y = 0; y < height; y++) {
+    const row = pixels.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const i = x * channels;
+      let r, g, b, a = 255;
+      if (colorType === 3) {
+        const idx = sample(row, i);
+        r = palette[idx * 3];
+        g = palette[idx * 3 + 1];
+        b = palette[idx * 3 + 2];
+        if (trns && idx < trns.length) a = trns[idx];
+      } else if (colorType === 0 || colorType === 4) {
+        const v = sample(row, i);
+        r = g = b = scale(v);
+        if (colorType === 4) a = scale(sample(row, i + 1));
+        else if (trns && trns.readUInt16BE(0) === v) a = 0;
+      } else {
+        r = row[i];
+        g = row[i + 1];
+        b = row[i + 2];
+        if (colorType === 6) a = row[i + 3];
+        else if (
+          trns &&
+          trns.readUInt16BE(0) === r &&
+          trns.readUInt16BE(2) === g &&
+          trns.readUInt16BE(4) === b
+        ) a = 0;
+      }
+      data[o] = r;
+      data[o + 1] = g;
+      data[o + 2] = b;
+      data[o + 3] = a;
+    }
+  }
+
+  return { width, height, data };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, body) {
+  const out = Buffer.alloc(12 + body.length);
+  out.writeUInt32BE(body.length, 0);
+  out.write(type, 4, "latin1");
+  body.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+  return out;
+}
+
+export function encodePng({ width, height, data }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: none (mosaics compress well anyway)
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 6;  // RGBA
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
@@ -0,0 +1,90 @@
+// /api/_lib/privacy.js — find and erase everything stored for an email.
+//
+// Publishing records each article under privacy:email:<sha256(email)> so a
+// deletion request doesn't have to walk the whole blog; { scan: true } also
+// checks every article's submitter_email, for submissions published before
+// the index existed. Erasure deletes the article (its metafields go with
+// it), its Files and metaobject mirror, the delivery events and perceptual
+// hash kept for it, and any queued or dead-lettered publishing job still
+// carrying the submission (finished jobs keep nothing of it). Suppressions
+// are kept on purpose: they are what stops us emailing the address again.
+
+import { createHash } from "node:crypto";
+import { deleteSubmission, getArticle, getArticleMetafields, nextPageInfo } from "./moderation.js";
+import { eventsKey } from "./emailevents.js";
+import { DEAD, QUEUE, deleteJob, getJobPayload } from "./jobs.js";
+import { forgetHashes } from "./phash.js";
+import { ShopifyError } from "./shopify.js";
+
+const normalise = (email) => String(email).trim().toLowerCase();
+
+export const indexKey = (email) =>
+  `privacy:email:${createHash("sha256").update(normalise(email)).digest("hex")}`;
+
+export async function indexSubmission(store, email, articleId) {
+  if (!email || !articleId) return;
+  await store.lpush(indexKey(email), String(articleId));
+}
+
+async function scanArticles(shop, BLOG_ID, email) {
+  const ids = [];
+  let pageInfo = null;
+  do {
+    const qs = pageInfo
+      ? `limit=250&page_info=${encodeURIComponent(pageInfo)}`
+      : "limit=250&published_status=any";
+    const r = await shop.rest(`/blogs/${BLOG_ID}/articles.json?${qs}`);
+    if (!r.ok) {
+      throw new ShopifyError("listArticles", { status: r.status, errors: r.data });
+    }
+    for (const a of r.data?.articles || []) {
+      const mf = await getArticleMetafields(shop, a.id);
+      if (mf.submitter_email && normalise(mf.submitter_email) === normalise(email)) {
+        ids.push(String(a.id));
+      }
+    }
+    pageInfo = nextPageInfo(r.headers);
+  } while (pageInfo);
+  return ids;
+}
+
+// Unfinished submission jobs (queued, retrying or dead) for this email.
+async function pendingJobIds(store, email) {
+  const ids = [];
+  for (const list of [QUEUE, DEAD]) {
+    for (const id of await store.lrange(list, 0, -1)) {
+      const jobEmail = (await getJobPayload(store, id))?.submitterEmail;
+      if (jobEmail && normalise(jobEmail) === normalise(email)) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+// → { articles: [{ articleId, title, deletedFileIds }], jobs: [jobId], dryRun }
+export async function eraseSubmitterData(shop, BLOG_ID, store, email, { dryRun = false, scan = false } = {}) {
+  const ids = new Set(await store.lrange(indexKey(email)));
+  if (scan) for (const id of await scanArticles(shop, BLOG_ID, email)) ids.add(id);
+
+  const articles = [];
+  for (const articleId of ids) {
+    const article = await getArticle(shop, BLOG_ID, articleId);
+    if (!article) continue; // already rejected / deleted
+    const mf = await getArticleMetafields(shop, articleId);
+    // the index is keyed by a hash; make sure the article really is theirs
+    if (!mf.submitter_email || normalise(mf.submitter_email) !== normalise(email)) continue;
+    const entry = { articleId: article.id, title: article.title, deletedFileIds: [] };
+    if (!dryRun) {
+      entry.deletedFileIds = await deleteSubmission(shop, BLOG_ID, article, mf);
+      await store.del(eventsKey(articleId));
+    }
+    articles.push(entry);
+  }
+
+  const jobs = await pendingJobIds(store, email);
+  if (!dryRun) {
+    for (const id of jobs) await deleteJob(store, id);
+    await forgetHashes(store, articles.map((a) => a.articleId));
+    await store.del(indexKey(email));
+  }
+  return { articles, jobs, dryRun };
+}
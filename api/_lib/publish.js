@@ -0,0 +1,448 @@
+// /api/_lib/publish.js — the submission publishing pipeline.
+//
+// api/submit.js validates a submission and enqueues it as a "submission"
+// job; processSubmission() then runs these checkpointed steps (inline first,
+// then from the /api/jobs worker on retry):
+//   images     → clean PNG + server-watermarked logo PNG uploaded to Files
+//                (plus the -design.json source document when one was sent)
+//   variants   → thumbnail, web-size and social-card PNGs (best effort)
+//   assets     → build guide PDF + parts lists (best effort)
+//   article    → unpublished blog article created
+//   metafields → brickart.* metafields written in one metafieldsSet call (and
+//                the article indexed by submitter email for erasure requests);
+//                near-duplicates of recent submissions are flagged here
+
+import { esc } from "./http.js";
+import { ShopifyError, createShopify, shopifyEnv } from "./shopify.js";
+import { mosaicImage, verifyBrickCounts } from "./bricks.js";
+import { instructionsFromImage } from "./instructions.js";
+import { partsListFiles } from "./partslist.js";
+import { VARIANT_SIZES, renderVariants } from "./variants.js";
+import { watermarkB64 } from "./watermark.js";
+import {
+  articleGid,
+  setMetafields,
+  submissionMetaobjectHandle,
+  supportsMetafield,
+  upsertSubmissionMetaobject,
+} from "./metafields.js";
+import { remixHtml } from "./remix.js";
+import { findDuplicates, mosaicHash, rememberHash } from "./phash.js";
+import { indexSubmission } from "./privacy.js";
+import { getStore } from "./store.js";
+import { slug } from "./slug.js";
+
+const FILE_KIND = (mimeType) => ({ resource: "FILE", contentType: "FILE", mimeType });
+
+// Everything that can be decided before talking to Shopify; the result is
+// the job payload. image is the clean image already decoded by the caller
+// (mosaicImage()), if it has one.
+export function prepareSubmission(input, idemKey, image = null) {
+  const { nickname, timestamp, grid, totalBricks, brickCounts, imageClean_b64 } = input;
+  if (!image && imageClean_b64) {
+    try {
+      image = mosaicImage(imageClean_b64);
+    } catch (err) {
+      console.warn("[BrickArt] Clean image unreadable:", err?.message || err);
+    }
+  }
+
+  // BRICK_COUNT_MODE=correct replaces the client's numbers with the ones
+  // read from the image; "flag" keeps them and flags the draft for
+  // moderation. Without a mode, counts are only corrected when BRICK_PALETTE
+  // is configured: the built-in palette is a guess at the app's colours.
+  const countCheck = verifyBrickCounts({
+    imageB64: imageClean_b64,
+    image,
+    grid,
+    totalBricks,
+    brickCounts,
+  });
+  const countMode =
+    process.env.BRICK_COUNT_MODE || (process.env.BRICK_PALETTE ? "correct" : "flag");
+  const correctCounts = countCheck.status === "mismatch" && countMode === "correct";
+  const flags = [];
+  if (input.screening?.level === "review") {
+    flags.push({
+      type: "screening",
+      score: input.screening.score,
+      findings: input.screening.findings.map((f) => `${f.field}:${f.type}`),
+    });
+  }
+  if (countCheck.status === "mismatch") {
+    flags.push({
+      type: "brick_count_mismatch",
+      corrected: correctCounts,
+      mismatches: countCheck.mismatches,
+    });
+    console.warn("[BrickArt] Brick counts disagree with image", {
+      corrected: correctCounts,
+      mismatches: countCheck.mismatches.length,
+    });
+  }
+
+  let phash = null;
+  if (image) {
+    try {
+      phash = mosaicHash(image, grid);
+    } catch (err) {
+      console.warn("[BrickArt] Perceptual hash skipped:", err?.message || err);
+    }
+  }
+
+  const safeNameBase = `${String(timestamp)
+    .replace(/[:.Z\-]/g, "")}-${String(nickname || "anon")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")}`.replace(/-+/g, "-");
+
+  return {
+    ...input,
+    idemKey,
+    safeNameBase,
+    phash,
+    finalTotal: correctCounts ? countCheck.computed.totalBricks : totalBricks,
+    countsObj: correctCounts ? countCheck.computed.brickCounts : brickCounts || {},
+    countCheck: {
+      status: countCheck.status,
+      corrected: correctCounts,
+      submitted: { totalBricks, brickCounts },
+      computed: countCheck.computed,
+    },
+    flags,
+  };
+}
+
+// Main design image: the crisp web variant (linking to the original upload)
+// when it exists, otherwise the clean upload itself.
+function designImageHtml({ cleanUrl, variants = {} }) {
+  const { thumbUrl, webUrl } = variants;
+  if (!webUrl) {
+    return cleanUrl ? `<p><img src="${cleanUrl}" alt="Brick Art design (clean)"/></p>` : "";
+  }
+  const srcset = [
+    thumbUrl ? `${thumbUrl} ${VARIANT_SIZES.thumb}w` : "",
+    `${webUrl} ${VARIANT_SIZES.web}w`,
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const img = `<img src="${webUrl}" srcset="${srcset}" sizes="(max-width: 640px) 100vw, 640px" width="${VARIANT_SIZES.web}" height="${VARIANT_SIZES.web}" style="image-rendering:pixelated; max-width:100%; height:auto;" alt="Brick Art design (clean)"/>`;
+  return `<p>${cleanUrl ? `<a href="${cleanUrl}" target="_blank">${img}</a>` : img}</p>`;
+}
+
+function buildArticleHtml(p, { cleanUrl, logoUrl, guideUrl, partsLinks = [], variants }) {
+  const meta = [
+    p.grid ? `Grid: ${p.grid}x${p.grid}` : "",
+    p.baseplate ? `Baseplate: ${p.baseplate}` : "",
+    typeof p.finalTotal === "number" ? `Total Bricks: ${p.finalTotal}` : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const entries = Object.entries(p.countsObj || {})
+    .filter(([, n]) => Number(n) > 0)
+    .sort((a, b) => Number(b[1]) - Number(a[1])); // highest first
+
+  const countsHtml = entries.length
+    ? `
+      <div style="margin:8px 0 14px 0;">
+        <strong>Brick counts:</strong>
+        <ul style="margin:.35rem 0 0 0; padding-left:1.15rem; line-height:1.3;">
+          ${entries
+            .map(([color, n]) => `<li>${esc(String(color))}: ${Number(n)}</li>`)
+            .join("")}
+        </ul>
+      </div>
+    `.trim()
+    : "";
+
+  return `
+    <p><strong>Nickname:</strong> ${esc(p.nickname || "Anonymous")}</p>
+    ${remixHtml(p.parent)}
+    ${meta ? `<p>${esc(meta)}</p>` : ""}
+    ${countsHtml}
+    ${designImageHtml({ cleanUrl, variants })}
+    ${logoUrl ? `<p><img src="${logoUrl}" alt="Brick Art design (watermarked)"/></p>` : ""}
+    ${
+      guideUrl
+        ? `<p><a href="${guideUrl}" target="_blank">Download the printable build guide (PDF)</a></p>`
+        : ""
+    }
+    ${
+      partsLinks.length
+        ? `<p>${partsLinks
+            .map((l) => `<a href="${l.url}" target="_blank">${esc(l.label)}</a>`)
+            .join(" · ")}</p>`
+        : ""
+    }
+  `.trim();
+}
+
+// Tags for gallery filtering
+function buildTags(p) {
+  const catTag   = p.category ? slug(p.category) : null;              // e.g. "space"
+  const sizeTag  = p.grid ? `${p.grid}x${p.grid}` : null;              // e.g. "32x32"
+  const plateTag = p.baseplate ? `plate-${slug(p.baseplate)}` : null; // e.g. "plate-blue-16x16"
+  return [catTag, sizeTag, plateTag].filter(Boolean).join(", ");
+}
+
+export async function processSubmission(job, checkpoint) {
+  const env = shopifyEnv();
+  if (!env) {
+    throw new ShopifyError("config", { errors: "Server not configured" });
+  }
+  const shop = createShopify(env);
+  const p = job.payload;
+  const cp = job.checkpoints;
+  // decoded on first use and shared by the images, variants and assets steps
+  let decoded;
+  const cleanImage = () => {
+    if (decoded === undefined) {
+      try {
+        decoded = mosaicImage(p.imageClean_b64);
+      } catch (err) {
+        console.warn("[BrickArt] Clean image unreadable:", err?.message || err);
+        decoded = null;
+      }
+    }
+    return decoded;
+  };
+
+  // --- images (one checkpoint per upload: a retry never uploads one twice) ---
+  if (cp.images) {
+    // checkpointed before the uploads were split up
+    cp["images.clean"] ??= { url: cp.images.cleanUrl };
+    cp["images.logo"] ??= { url: cp.images.logoUrl };
+    cp["images.design"] ??= { url: cp.images.designUrl };
+  }
+  if (!cp["images.clean"]) {
+    const url = await shop.uploadB64ToFiles(
+      p.imageClean_b64,
+      `${p.safeNameBase}-clean.png`,
+      "Brick Art design (clean)"
+    );
+    await checkpoint("images.clean", { url });
+  }
+  if (!cp["images.logo"]) {
+    const logoPng = cleanImage() && watermarkB64(cleanImage(), p.grid);
+    const url = logoPng
+      ? await shop.uploadB64ToFiles(
+          logoPng.toString("base64"),
+          `${p.safeNameBase}-logo.png`,
+          "Brick Art design (watermarked)"
+        )
+      : null;
+    await checkpoint("images.logo", { url });
+  }
+  if (!cp["images.design"]) {
+    const url = p.design
+      ? await shop.uploadB64ToFiles(
+          Buffer.from(JSON.stringify(p.design)).toString("base64"),
+          `${p.safeNameBase}-design.json`,
+          "Brick Art design source",
+          FILE_KIND("application/json")
+        )
+      : null;
+    await checkpoint("images.design", { url });
+  }
+
+  // --- variants (never fail the job; the article falls back to the clean image) ---
+  if (!cp.variants) {
+    const urls = {};
+    try {
+      const rendered = cleanImage() && renderVariants({
+        image: cleanImage(),
+        grid: p.grid,
+        nickname: p.nickname,
+        totalBricks: p.finalTotal,
+      });
+      const alts = {
+        thumb: "Brick Art design (thumbnail)",
+        web: "Brick Art design",
+        og: "Brick Art design (social card)",
+      };
+      for (const [name, png] of Object.entries(rendered || {})) {
+        urls[`${name}Url`] = await shop.uploadB64ToFiles(
+          png.toString("base64"),
+          `${p.safeNameBase}-${name}.png`,
+          alts[name]
+        );
+      }
+    } catch (variantErr) {
+      console.error("[BrickArt] Image variant upload error", variantErr);
+    }
+    await checkpoint("variants", urls);
+  }
+
+  // --- assets (never fail the job; a missing guide shouldn't lose it) ---
+  if (!cp.assets) {
+    let guideUrl = null;
+    try {
+      const guidePdf = cleanImage() && instructionsFromImage(cleanImage(), p.grid, p.nickname);
+      if (guidePdf) {
+        guideUrl = await shop.uploadB64ToFiles(
+          guidePdf.toString("base64"),
+          `${p.safeNameBase}-guide.pdf`,
+          "Brick Art build guide",
+          FILE_KIND("application/pdf")
+        );
+      }
+    } catch (guideErr) {
+      console.error("[BrickArt] Build guide upload error", guideErr);
+    }
+
+    const partsLinks = [];
+    for (const file of partsListFiles(p.countsObj, p.safeNameBase)) {
+      try {
+        const url = await shop.uploadB64ToFiles(
+          file.content,
+          file.filename,
+          "Brick Art parts list",
+          FILE_KIND(file.type)
+        );
+        if (url) {
+          partsLinks.push({
+            url,
+            label: file.type === "text/csv" ? "Parts list (CSV)" : "BrickLink wanted list (XML)",
+          });
+        }
+      } catch (partsErr) {
+        console.error("[BrickArt] Parts list upload error", file.filename, partsErr);
+      }
+    }
+    await checkpoint("assets", { guideUrl, partsLinks });
+  }
+
+  const cleanUrl = cp["images.clean"].url;
+  const logoUrl = cp["images.logo"].url;
+  const designUrl = cp["images.design"].url;
+  const variants = cp.variants;
+  const { guideUrl, partsLinks } = cp.assets;
+
+  // --- article (hidden by default) ---
+  if (!cp.article) {
+    const r = await shop.rest(`/blogs/${env.BLOG_ID}/articles.json`, {
+      method: "POST",
+      body: JSON.stringify({
+        article: {
+          title: `Brick Art submission — ${p.nickname || "Anonymous"} (${new Date(
+            p.timestamp
+          ).toLocaleString()})`,
+          body_html: buildArticleHtml(p, { cleanUrl, logoUrl, guideUrl, partsLinks, variants }),
+          tags: buildTags(p),
+          // featured image → og:image on the storefront
+          ...(variants.ogUrl
+            ? { image: { src: variants.ogUrl, alt: `Brick Art by ${p.nickname || "Anonymous"}` } }
+            : {}),
+
+          // keep new submissions OFF the public gallery until you approve them
+          published: false,
+          published_at: null,
+        },
+      }),
+    });
+    if (!r.ok) {
+      console.error(
+        "[BrickArt] Blog create FAILED",
+        r.status,
+        r.data?.errors || String(r.data).slice(0, 300)
+      );
+      throw new ShopifyError("createArticle", {
+        status: r.status,
+        errors: r.data?.errors || r.data,
+      });
+    }
+    await checkpoint("article", {
+      articleId: r.data?.article?.id,
+      handle: r.data?.article?.handle,
+      blogHandle: r.data?.article?.blog?.handle,
+    });
+  }
+
+  const { articleId, handle, blogHandle } = cp.article;
+
+  // --- metafields ---
+  if (!cp.metafields && articleId) {
+    const store = getStore();
+    const duplicates = await findDuplicates(store, p.phash, { exclude: articleId });
+    const flags = [...p.flags];
+    if (duplicates.length) {
+      flags.push({
+        type: "possible_duplicate",
+        articleIds: duplicates.map((d) => d.articleId),
+      });
+      console.warn("[BrickArt] Possible duplicate of", duplicates.map((d) => d.articleId));
+    }
+    const images = {
+      clean: cleanUrl || null,
+      logo: logoUrl || null,
+      thumb: variants.thumbUrl || null,
+      web: variants.webUrl || null,
+      og: variants.ogUrl || null,
+    };
+    const values = {
+      nickname: p.nickname || null,
+      grid: p.grid || null,
+      baseplate: p.baseplate || null,
+      category: p.category || null,
+      total_bricks: typeof p.finalTotal === "number" ? p.finalTotal : null,
+      brick_counts: Object.keys(p.countsObj || {}).length ? p.countsObj : null,
+      images,
+      design: designUrl || null,
+      remixed_from:
+        p.parent && supportsMetafield(shop, "remixed_from")
+          ? articleGid(p.parent.articleId)
+          : null,
+      remix_parent_id: p.parent ? Number(p.parent.articleId) : null,
+      moderation_status: "pending",
+      submitter_email: p.submitterEmail ? String(p.submitterEmail).trim() : null,
+      locale: p.locale || null,
+      consent: p.consent || null,
+      screening: p.screening || null,
+      count_check: p.countCheck.status !== "skipped" ? p.countCheck : null,
+      flags: flags.length ? flags : null,
+      phash: p.phash || null,
+      duplicates: duplicates.length ? duplicates : null,
+      // traceability for duplicate reports
+      idempotency_key: p.idemKey,
+    };
+    await setMetafields(shop, articleId, values);
+    console.log("[BrickArt] Metafields saved");
+    if (values.submitter_email) {
+      await indexSubmission(store, values.submitter_email, articleId);
+    }
+    await rememberHash(store, articleId, p.phash);
+
+    if (process.env.SUBMISSION_METAOBJECT === "1") {
+      try {
+        await upsertSubmissionMetaobject(shop, submissionMetaobjectHandle(articleId), {
+          ...values,
+          article_id: String(articleId),
+        });
+      } catch (moErr) {
+        console.error("[BrickArt] Submission metaobject error", moErr);
+      }
+    }
+    await checkpoint("metafields");
+  }
+
+  const storefrontUrl =
+    handle && blogHandle ? `https://${env.STORE}/blogs/${blogHandle}/${handle}` : null;
+
+  return {
+    ok: true,
+    articleId,
+    cleanUrl,
+    logoUrl,
+    thumbUrl: variants.thumbUrl || null,
+    webUrl: variants.webUrl || null,
+    ogUrl: variants.ogUrl || null,
+    guideUrl,
+    designUrl: designUrl || null,
+    storefrontUrl,
+    emailSaved: !!p.submitterEmail,
+    countCheck: p.countCheck.status,
+    countsCorrected: p.countCheck.corrected,
+  };
+}
+
+export const JOB_HANDLERS = { submission: processSubmission };
@@ -0,0 +1,154 @@
+// /api/_lib/raster.js — tiny RGBA raster helpers for server-rendered images.
+// Images are { width, height, data } with data as RGBA bytes (see png.js).
+// Text uses a built-in 5×7 bitmap font scaled by whole pixels, which suits
+// the blocky mosaic look and needs no font files.
+
+export function createImage(width, height, rgba = [0, 0, 0, 0]) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+  return { width, height, data };
+}
+
+// Source-over blend of one pixel; `a` is 0–255.
+export function blendPixel(img, x, y, r, g, b, a = 255) {
+  if (x < 0 || y < 0 || x >= img.width || y >= img.height || a <= 0) return;
+  const o = (y * img.width + x) * 4;
+  const d = img.data;
+  if (a >= 255) {
+    d[o] = r;
+    d[o + 1] = g;
+    d[o + 2] = b;
+    d[o + 3] = 255;
+    return;
+  }
+  const sa = a / 255;
+  const da = d[o + 3] / 255;
+  const oa = sa + da * (1 - sa);
+  const mix = (s, t) => Math.round((s * sa + t * da * (1 - sa)) / oa);
+  d[o] = mix(r, d[o]);
+  d[o + 1] = mix(g, d[o + 1]);
+  d[o + 2] = mix(b, d[o + 2]);
+  d[o + 3] = Math.round(oa * 255);
+}
+
+export function fillRect(img, x, y, w, h, [r, g, b, a = 255]) {
+  for (let yy = Math.max(0, y); yy < Math.min(img.height, y + h); yy++) {
+    for (let xx = Math.max(0, x); xx < Math.min(img.width, x + w); xx++) {
+      blendPixel(img, xx, yy, r, g, b, a);
+    }
+  }
+}
+
+// Nearest-neighbour scaling keeps brick edges perfectly sharp.
+export function resizeNearest(src, width, height) {
+  const out = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(src.height - 1, Math.floor((y * src.height) / height));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(src.width - 1, Math.floor((x * src.width) / width));
+      const si = (sy * src.width + sx) * 4;
+      out.data.set(src.data.subarray(si, si + 4), (y * width + x) * 4);
+    }
+  }
+  return out;
+}
+
+// Composite `src` onto `dst` at (dx, dy) with an overall opacity (0–1).
+export function drawImage(dst, src, dx, dy, { opacity = 1 } = {}) {
+  for (let y = 0; y < src.height; y++) {
+    for (let x = 0; x < src.width; x++) {
+      const o = (y * src.width + x) * 4;
+      const a = src.data[o + 3] * opacity;
+      blendPixel(dst, dx + x, dy + y, src.data[o], src.data[o + 1], src.data[o + 2], a);
+    }
+  }
+}
+
+// --- 5×7 bitmap font (uppercase; lowercase is folded, "x" stays a times sign) ---
+
+const GLYPHS = {
+  A: "01110 10001 10001 11111 10001 10001 10001",
+  B: "11110 10001 10001 11110 10001 10001 11110",
+  C: "01110 10001 10000 10000 10000 10001 01110",
+  D: "11110 10001 10001 10001 10001 10001 11110",
+  E: "11111 10000 10000 11110 10000 10000 11111",
+  F: "11111 10000 10000 11110 10000 10000 10000",
+  G: "01110 10001 10000 10111 10001 10001 01111",
+  H: "10001 10001 10001 11111 10001 10001 10001",
+  I: "01110 00100 00100 00100 00100 00100 01110",
+  J: "00111 00010 00010 00010 00010 10010 01100",
+  K: "10001 10010 10100 11000 10100 10010 10001",
+  L: "10000 10000 10000 10000 10000 10000 11111",
+  M: "10001 11011 10101 10101 10001 10001 10001",
+  N: "10001 10001 11001 10101 10011 10001 10001",
+  O: "01110 10001 10001 10001 10001 10001 01110",
+  P: "11110 10001 10001 11110 10000 10000 10000",
+  Q: "01110 10001 10001 10001 10101 10010 01101",
+  R: "11110 10001 10001 11110 10100 10010 10001",
+  S: "01111 10000 10000 01110 00001 00001 11110",
+  T: "11111 00100 00100 00100 00100 00100 00100",
+  U: "10001 10001 10001 10001 10001 10001 01110",
+  V: "10001 10001 10001 10001 10001 01010 00100",
+  W: "10001 10001 10001 10101 10101 10101 01010",
+  X: "10001 10001 01010 00100 01010 10001 10001",
+  Y: "10001 10001 01010 00100 00100 00100 00100",
+  Z: "11111 00001 00010 00100 01000 10000 11111",
+  0: "01110 10001 10011 10101 11001 10001 01110",
+  1: "00100 01100 00100 00100 00100 00100 01110",
+  2: "01110 10001 00001 00010 00100 01000 11111",
+  3: "11111 00010 00100 00010 00001 10001 01110",
+  4: "00010 00110 01010 10010 11111 00010 00010",
+  5: "11111 10000 11110 00001 00001 10001 01110",
+  6: "00110 01000 10000 11110 10001 10001 01110",
+  7: "11111 00001 00010 00100 01000 01000 01000",
+  8: "01110 10001 10001 01110 10001 10001 01110",
+  9: "01110 10001 10001 01111 00001 00010 01100",
+  " ": "00000 00000 00000 00000 00000 00000 00000",
+  x: "00000 00000 10001 01010 00100 01010 10001",
+  "-": "00000 00000 00000 11111 00000 00000 00000",
+  _: "00000 00000 00000 00000 00000 00000 11111",
+  ".": "00000 00000 00000 00000 00000 01100 01100",
+  ",": "00000 00000 00000 00000 01100 00100 01000",
+  ":": "00000 01100 01100 00000 01100 01100 00000",
+  "·": "00000 00000 00000 01100 01100 00000 00000",
+  "!": "00100 00100 00100 00100 00100 00000 00100",
+  "?": "01110 10001 00001 00010 00100 00000 00100",
+  "'": "00100 00100 01000 00000 00000 00000 00000",
+  "&": "01100 10010 10100 01000 10101 10010 01101",
+  "#": "01010 01010 11111 01010 11111 01010 01010",
+  "/": "00001 00010 00010 00100 01000 01000 10000",
+  "@": "01110 10001 10111 10101 10111 10000 01110",
+};
+
+const FONT = Object.fromEntries(
+  Object.entries(GLYPHS).map(([ch, rows]) => [ch, rows.split(" ").map((r) => [...r].map(Number))])
+);
+
+const glyphFor = (ch) =>
+  FONT[ch === "×" ? "x" : ch] || FONT[ch.toUpperCase()] || FONT["?"];
+
+// Width in pixels of `text` at `scale` (glyphs are 5 wide + 1 spacing).
+export const textWidth = (text, scale = 1) =>
+  Math.max(0, [...String(text)].length * 6 * scale - scale);
+
+export function drawText(img, text, x, y, { scale = 1, color = [255, 255, 255, 255] } = {}) {
+  let cx = x;
+  for (const ch of String(text)) {
+    const g = glyphFor(ch);
+    for (let row = 0; row < 7; row++) {
+      for (let col = 0; col < 5; col++) {
+        if (g[row][col]) fillRect(img, cx + col * scale, y + row * scale, scale, scale, color);
+      }
+    }
+    cx += 6 * scale;
+  }
+  return cx - x;
+}
+
+// Trim `text` with "..." until it fits `maxWidth` at `scale`.
+export function fitText(text, maxWidth, scale) {
+  let s = String(text);
+  if (textWidth(s, scale) <= maxWidth) return s;
+  while (s.length > 1 && textWidth(`${s}...`, scale) > maxWidth) s = s.slice(0, -1);
+  return `${s.trimEnd()}...`;
+}
@@ -0,0 +1,98 @@
+// /api/_lib/ratelimit.js — abuse protection for the public POST routes.
+//
+// Each route has rules keyed on the client IP, the email address in the
+// body and a global daily cap. IP/email rules use a sliding-window counter
+// (current + weighted previous fixed window); global caps reset at 00:00 UTC.
+// Counters live in the shared store (memory in dev, KV in production).
+//
+// Limits can be overridden with RATE_LIMITS as JSON, e.g.
+//   { "submit": { "ip": 20, "global": 1000 }, "email": { "email": 5 } }
+
+export const RULES = {
+  submit: [
+    { name: "ip", limit: 10, window: 3600 },
+    { name: "email", limit: 5, window: 3600 },
+    { name: "global", limit: 500, window: 86400, fixed: true },
+  ],
+  email: [
+    { name: "ip", limit: 10, window: 3600 },
+    { name: "email", limit: 3, window: 3600 },
+    { name: "global", limit: 1000, window: 86400, fixed: true },
+  ],
+};
+
+function rulesFor(route) {
+  let overrides = {};
+  if (process.env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMITS)[route] || {};
+    } catch (err) {
+      console.error("[BrickArt] RATE_LIMITS is not valid JSON", err);
+    }
+  }
+  return (RULES[route] || []).map((r) =>
+    r.name in overrides ? { ...r, limit: Number(overrides[r.name]) } : r
+  );
+}
+
+export function clientIp(req) {
+  const fwd = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+  return fwd || req.headers["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+}
+
+// → { allowed: true } or { allowed: false, retryAfter } (seconds)
+async function hit(store, key, { limit, window, fixed }) {
+  const now = Date.now() / 1000;
+  const slot = Math.floor(now / window);
+  const count = await store.incr(`rl:${key}:${slot}`, { ttl: window * 2 });
+  const untilNextSlot = Math.ceil((slot + 1) * window - now);
+
+  if (fixed) {
+    return count > limit ? { allowed: false, retryAfter: untilNextSlot } : { allowed: true };
+  }
+
+  const previous = Number(await store.get(`rl:${key}:${slot - 1}`)) || 0;
+  const elapsed = (now % window) / window;
+  if (previous * (1 - elapsed) + count <= limit) return { allowed: true };
+
+  if (count >= limit || !previous) return { allowed: false, retryAfter: untilNextSlot };
+  // wait until the previous window's weight has decayed enough
+  const needed = 1 - (limit - count) / previous;
+  return {
+    allowed: false,
+    retryAfter: Math.max(1, Math.ceil((needed - elapsed) * window)),
+  };
+}
+
+// Checks every rule for `route`; returns the first one that is exceeded.
+export async function checkRateLimit(store, route, { ip, email } = {}) {
+  for (const rule of rulesFor(route)) {
+    let subject;
+    if (rule.name === "ip") subject = ip;
+    else if (rule.name === "email") subject = email && String(email).trim().toLowerCase();
+    else subject = "all";
+    if (!subject) continue;
+
+    const result = await hit(store, `${route}:${rule.name}:${subject}`, rule);
+    if (!result.allowed) {
+      console.warn("[BrickArt] Rate limited", route, rule.name);
+      return { ...result, rule: rule.name };
+    }
+  }
+  return { allowed: true };
+}
+
+// Sends 429 with Retry-After and returns false when the caller is over a
+// limit; otherwise true.
+export async function rateLimitOr429(store, route, req, res, { email } = {}) {
+  const result = await checkRateLimit(store, route, { ip: clientIp(req), email });
+  if (result.allowed) return true;
+  res.setHeader("Retry-After", String(result.retryAfter));
+  res.status(429).json({
+    ok: false,
+    error: "Too many requests",
+    limit: result.rule,
+    retryAfter: result.retryAfter,
+  });
+  return false;
+}
@@ -0,0 +1,80 @@
+// /api/_lib/remix.js — "remixed from" lineage between submissions.
+//
+// A submission may name the published gallery article it started from
+// (parentArticleId). The parent is checked at submit time, written to the
+// brickart.remix_parent_id metafield (plus the remixed_from
+// article_reference on SHOPIFY_API_VERSION 2025-01 or later) and rendered as
+// a "Remixed from …" line in body_html. The gallery index reads
+// remix_parent_id for every article in bulk; remixTree() builds the tree
+// from there.
+
+import { esc } from "./http.js";
+import { getArticle, getArticleMetafields, storefrontUrl } from "./moderation.js";
+
+// → null when there is no such published article, otherwise what the new
+// article needs to link back to it.
+export async function resolveParent(shop, BLOG_ID, parentArticleId) {
+  const article = await getArticle(shop, BLOG_ID, parentArticleId);
+  if (!article?.published_at) return null;
+  const mf = await getArticleMetafields(shop, article.id);
+  return {
+    articleId: article.id,
+    title: article.title,
+    nickname: mf.nickname || null,
+    url: await storefrontUrl(shop, BLOG_ID, article),
+  };
+}
+
+export function remixHtml(parent) {
+  if (!parent) return "";
+  const label = parent.nickname ? `${esc(parent.nickname)}'s design` : esc(parent.title);
+  const link = parent.url ? `<a href="${esc(parent.url)}">${label}</a>` : label;
+  return `<p class="brickart-remix" data-parent-article="${parent.articleId}">Remixed from ${link}</p>`;
+}
+
+// Gallery index entries → { ancestors, tree } around one article, or null
+// when it isn't in the (published) index. ancestors run root first; tree
+// nodes are { articleId, title, nickname, url, publishedAt, remixes }.
+export function remixTree(entries, articleId, { urlFor = () => null } = {}) {
+  const byId = new Map(entries.map((e) => [String(e.articleId), e]));
+  const start = byId.get(String(articleId));
+  if (!start) return null;
+
+  const children = new Map();
+  for (const e of entries) {
+    if (e.parentArticleId == null) continue;
+    const key = String(e.parentArticleId);
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(e);
+  }
+
+  const node = (e) => ({
+    articleId: e.articleId,
+    title: e.title,
+    nickname: e.nickname,
+    url: urlFor(e),
+    publishedAt: e.publishedAt,
+  });
+
+  const ancestors = [];
+  const seen = new Set([String(start.articleId)]);
+  for (let p = byId.get(String(start.parentArticleId)); p; p = byId.get(String(p.parentArticleId))) {
+    if (seen.has(String(p.articleId))) break;
+    seen.add(String(p.articleId));
+    ancestors.unshift(node(p));
+  }
+
+  const build = (e, visited) => {
+    visited.add(String(e.articleId));
+    const remixes = (children.get(String(e.articleId)) || [])
+      .filter((c) => !visited.has(String(c.articleId)))
+      .sort(
+        (a, b) =>
+          String(a.publishedAt).localeCompare(String(b.publishedAt)) || a.articleId - b.articleId
+      )
+      .map((c) => build(c, visited));
+    return { ...node(e), remixes };
+  };
+
+  return { ancestors, tree: build(start, new Set()) };
+}
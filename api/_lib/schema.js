@@ -0,0 +1,259 @@
+// /api/_lib/schema.js — declarative validation for request bodies.
+//
+// A schema is { fields: { name: rule }, oneOf?: [[a, b], …], strip?: [name, …] }
+// where a rule is { type, required?, aliases?, …type options }. validate()
+// returns { value, errors } — value holds normalised fields (unknown fields
+// pass through untouched, except those listed in strip), errors is a list
+// of { field, message }.
+
+import { normaliseDesign } from "./design.js";
+
+export const GRID_SIZES = [16, 32];
+
+// Baseplate colour names the mosaic app offers; override with a
+// comma-separated BASEPLATES env var. "Blue 16x16" style labels are accepted.
+export const BASEPLATES = (
+  process.env.BASEPLATES ||
+  "white,black,blue,light blue,green,light gray,dark gray,tan,red,yellow"
+)
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+const PNG_SIGNATURE = "89504e470d0a1a0a";
+const EMAIL_RE = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}$/i;
+const BASE64_RE = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const fail = (message) => ({ error: message });
+
+export const TYPES = {
+  string(v, { maxLength, pattern }) {
+    if (typeof v !== "string") return fail("must be a string");
+    const s = v.trim();
+    if (maxLength && s.length > maxLength) {
+      return fail(`must be at most ${maxLength} characters`);
+    }
+    if (pattern && !pattern.test(s)) return fail("has an invalid format");
+    return { value: s };
+  },
+
+  integer(v, { min, max }) {
+    const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+    if (typeof n !== "number" || !Number.isInteger(n)) {
+      return fail("must be an integer");
+    }
+    if (min != null && n < min) return fail(`must be ≥ ${min}`);
+    if (max != null && n > max) return fail(`must be ≤ ${max}`);
+    return { value: n };
+  },
+
+  boolean(v) {
+    if (v === true || v === "true") return { value: true };
+    if (v === false || v === "false") return { value: false };
+    return fail("must be true or false");
+  },
+
+  timestamp(v) {
+    if (typeof v !== "string" && typeof v !== "number") {
+      return fail("must be an ISO date string or epoch milliseconds");
+    }
+    if (Number.isNaN(new Date(v).getTime())) return fail("is not a valid date");
+    return { value: v };
+  },
+
+  email(v) {
+    if (typeof v !== "string") return fail("must be a string");
+    const s = v.trim();
+    if (s.length > 254 || !EMAIL_RE.test(s)) {
+      return fail("must be a valid email address");
+    }
+    return { value: s };
+  },
+
+  // 16, "16", "16x16" → 16
+  grid(v) {
+    const m = String(v).trim().match(/^(\d+)(?:\s*x\s*(\d+))?$/i);
+    const n = m && (!m[2] || m[2] === m[1]) ? Number(m[1]) : NaN;
+    if (!GRID_SIZES.includes(n)) {
+      return fail(`must be one of ${GRID_SIZES.join(", ")}`);
+    }
+    return { value: n };
+  },
+
+  baseplate(v) {
+    if (typeof v !== "string") return fail("must be a string");
+    const s = v.trim();
+    const colour = s
+      .toLowerCase()
+      .replace(/\b\d+\s*x\s*\d+\b/, "")
+      .replace(/\bbaseplate\b/, "")
+      .trim();
+    if (!BASEPLATES.includes(colour)) return fail("is not a known baseplate");
+    return { value: s };
+  },
+
+  // { colourName: count } — accepts the JSON-string form the app used to send.
+  counts(v) {
+    let obj = v;
+    if (typeof v === "string") {
+      try {
+        obj = JSON.parse(v);
+      } catch {
+        return fail("must be an object or JSON object string");
+      }
+    }
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+      return fail("must be an object of colour → count");
+    }
+    const out = {};
+    for (const [name, n] of Object.entries(obj)) {
+      const num = Number(n);
+      if (!name.trim() || name.length > 60) return fail("has an invalid colour name");
+      if (!Number.isInteger(num) || num < 0) {
+        return fail(`count for '${name}' must be a non-negative integer`);
+      }
+      out[name] = num;
+    }
+    return { value: out };
+  },
+
+  // Mosaic design source document (see design.js).
+  design(v) {
+    return normaliseDesign(v, GRID_SIZES);
+  },
+
+  // PNG as base64, with or without a data: prefix.
+  png(v, { maxBytes = MAX_IMAGE_BYTES }) {
+    if (typeof v !== "string") return fail("must be a base64 string");
+    const raw = v.replace(/^data:image\/png;base64,/, "").replace(/\s+/g, "");
+    if (!raw || raw.length % 4 !== 0 || !BASE64_RE.test(raw)) {
+      return fail("is not valid base64");
+    }
+    if ((raw.length / 4) * 3 > maxBytes) {
+      return fail(`must be at most ${Math.round(maxBytes / 1024)} KB`);
+    }
+    const head = Buffer.from(raw.slice(0, 12), "base64").toString("hex");
+    if (!head.startsWith(PNG_SIGNATURE)) return fail("is not a PNG image");
+    return { value: v };
+  },
+};
+
+const isBlank = (v) => v === undefined || v === null || v === "";
+
+export function validate(schema, input) {
+  const body = input && typeof input === "object" ? input : {};
+  const value = { ...body };
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const source = [field, ...(rule.aliases || [])].find((k) => !isBlank(body[k]));
+    for (const alias of rule.aliases || []) delete value[alias];
+
+    if (!source) {
+      delete value[field];
+      if (rule.required) errors.push({ field, message: "is required" });
+      continue;
+    }
+
+    const check = TYPES[rule.type];
+    const result = check(body[source], rule);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  for (const group of schema.oneOf || []) {
+    if (group.every((f) => isBlank(value[f]))) {
+      errors.push({
+        field: group.join("|"),
+        message: `one of ${group.join(", ")} is required`,
+      });
+    }
+  }
+
+  for (const field of schema.strip || []) delete value[field];
+
+  return { value, errors };
+}
+
+// Sends the standard 400 and returns false when the body is invalid.
+export function validateOr400(schema, input, res) {
+  const result = validate(schema, input);
+  if (result.errors.length) {
+    res.status(400).json({
+      ok: false,
+      error: "Invalid request body",
+      fields: result.errors,
+    });
+    return null;
+  }
+  return result.value;
+}
+
+// --- Shared schemas ---
+
+export const submissionSchema = {
+  fields: {
+    timestamp: { type: "timestamp", required: true },
+    nickname: { type: "string", maxLength: 40 },
+    category: { type: "string", maxLength: 60 },
+    grid: { type: "grid" },
+    baseplate: { type: "baseplate" },
+    totalBricks: { type: "integer", min: 0, max: 32 * 32 },
+    brickCounts: { type: "counts" },
+    brickCountsText: { type: "string", maxLength: 2000 },
+    imageClean_b64: { type: "png", required: true, aliases: ["imageClean"] },
+    design: { type: "design" },
+    parentArticleId: { type: "integer", min: 1 },
+    submitterEmail: { type: "email" },
+    locale: { type: "string", maxLength: 35 },
+    consentGallery: { type: "boolean" },
+    consentEmail: { type: "boolean" },
+    consentMarketing: { type: "boolean" },
+    under13: { type: "boolean" },
+    guardianConsent: { type: "boolean" },
+    policyVersion: { type: "string", maxLength: 40 },
+    captchaToken: { type: "string", maxLength: 4096 },
+  },
+  // the watermarked copy is rendered server-side; older clients still send one
+  strip: ["imageLogo_b64", "imageLogo"],
+};
+
+// Body of the design email routes (api/v1/email.js and its legacy shims).
+export const designEmailSchema = {
+  fields: {
+    email: { type: "email", required: true },
+    nickname: { type: "string", maxLength: 40 },
+    grid: { type: "grid", aliases: ["whichGrid"] },
+    baseplate: { type: "baseplate" },
+    category: { type: "string", maxLength: 60 },
+    totalBricks: { type: "integer", min: 0, max: 32 * 32 },
+    brickCounts: { type: "counts" },
+    imageBase64: { type: "png", required: true },
+    locale: { type: "string", maxLength: 35 },
+    captchaToken: { type: "string", maxLength: 4096 },
+  },
+};
+
+// Body of a moderation decision (POST api/moderation.js).
+export const moderationRequestSchema = {
+  fields: {
+    articleId: { type: "integer", required: true, min: 1 },
+    action: { type: "string", required: true, maxLength: 40 },
+    note: { type: "string", maxLength: 2000 },
+    moderator: { type: "string", maxLength: 200 },
+    notify: { type: "boolean" },
+  },
+};
+
+// Body of the data deletion route (api/privacy.js).
+export const privacyRequestSchema = {
+  fields: {
+    email: { type: "email", required: true },
+    dryRun: { type: "boolean" },
+    scan: { type: "boolean" },
+  },
+};
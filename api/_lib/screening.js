@@ -0,0 +1,271 @@
+// /api/_lib/screening.js — automated content screening for submissions.
+//
+// api/submit.js runs every screen over the (consent-adjusted) submission:
+//   words   → word-list check of nickname + category, leetspeak included
+//             ("5h1t", "f u c k", "fuuuck"); extend with SCREEN_WORDS
+//             (comma-separated)
+//   contact → emails, phone numbers and links in the nickname
+//   image   → heuristic for text drawn into the mosaic
+// Each finding carries a weight; the summed score (capped at 100) decides:
+//   ≥ reject → the submission is refused with 422
+//   ≥ review → flagged and listed first in the moderation queue
+// No single finding reaches the reject threshold on its own: one listed word
+// ("Cocky Rooster") or one number that looks like a phone goes to a human,
+// two of them together (two words, a word and an email, …) are refused.
+// Thresholds can be overridden with SCREENING as JSON, e.g.
+//   {"reject":90,"review":30}
+// Screens can be replaced, added or switched off with setScreen(name, fn),
+// where fn(input, { image }) → [{ type, field, weight, … }] (sync or async);
+// image is the already decoded clean image when the caller has one.
+
+import { readMosaic } from "./bricks.js";
+
+export const SCREENING_DEFAULTS = { reject: 80, review: 40 };
+
+const WEIGHTS = {
+  word_nickname: 50,
+  word_category: 50,
+  email: 50,
+  phone: 50,
+  link: 40,
+  image_text: 40,
+};
+
+const DEFAULT_WORDS = [
+  "fuck", "shit", "bitch", "cunt", "dick", "cock", "pussy", "ass", "asshole",
+  "bastard", "slut", "whore", "wank", "wanker", "twat", "bollocks", "piss",
+  "porn", "nazi", "hitler",
+  // es
+  "puta", "puto", "mierda", "joder", "pendejo", "cabron", "verga", "polla",
+];
+
+const SUFFIXES = ["s", "es", "er", "ers", "ing", "ed", "y", "head", "face", "hole"];
+
+const LEET = {
+  0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", 9: "g",
+  "@": "a", $: "s", "!": "i", "|": "i", "+": "t",
+};
+
+export function screeningConfig() {
+  let overrides = {};
+  if (process.env.SCREENING) {
+    try {
+      overrides = JSON.parse(process.env.SCREENING) || {};
+    } catch (err) {
+      console.error("[BrickArt] SCREENING is not valid JSON", err);
+    }
+  }
+  const cfg = { ...SCREENING_DEFAULTS, ...overrides };
+  return { reject: Number(cfg.reject), review: Number(cfg.review) };
+}
+
+// "fuuuck" and "fuck" should meet, but short words ("ass" → "as") must not
+// collapse into everyday ones.
+const collapse = (s) => s.replace(/(.)\1+/g, "$1");
+
+function wordList() {
+  const extra = String(process.env.SCREEN_WORDS || "")
+    .split(",")
+    .map((w) => w.trim().toLowerCase())
+    .filter(Boolean);
+  const raw = new Set([...DEFAULT_WORDS, ...extra]);
+  const collapsed = new Set([...raw].map(collapse).filter((w) => w.length >= 4));
+  return { raw, collapsed };
+}
+
+// Lower-case, strip accents, undo leetspeak → tokens. Runs of single
+// characters ("f u c k", "f.u.c.k") are joined back into one token.
+export function leetTokens(text) {
+  const plain = String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+  const tokens = [];
+  let singles = "";
+  for (const part of plain.split(/[^a-z0-9@$!|+]+/).filter(Boolean)) {
+    // pure numbers ("2025") are not words in disguise
+    const token = /[a-z]/.test(part) ? part.replace(/[0-9@$!|+]/g, (c) => LEET[c] || c) : part;
+    if (token.length === 1) {
+      singles += token;
+      continue;
+    }
+    if (singles.length >= 3) tokens.push(singles);
+    singles = "";
+    tokens.push(token);
+  }
+  if (singles.length >= 3) tokens.push(singles);
+  return tokens;
+}
+
+function matchesWord(token, { raw, collapsed }) {
+  const forms = [token, collapse(token)];
+  for (const form of forms) {
+    const words = form === token ? raw : collapsed;
+    if (words.has(form)) return form;
+    for (const w of words) {
+      if (!form.startsWith(w)) continue;
+      const rest = form.slice(w.length);
+      if (SUFFIXES.includes(rest) || words.has(rest)) return w;
+    }
+  }
+  return null;
+}
+
+// → the listed words found in text (normalised form).
+export function findWords(text, words = wordList()) {
+  const found = new Set();
+  for (const token of leetTokens(text)) {
+    const hit = matchesWord(token, words);
+    if (hit) found.add(hit);
+  }
+  return [...found];
+}
+
+const EMAIL_RE = /[^\s@]+@[^\s@]+\.[a-z]{2,}/i;
+// "kid at mail dot com", "kid [at] mail [dot] com"
+const EMAIL_SPELLED_RE = /\w\s*[([]?\s*\bat\b\s*[)\]]?\s*\w+\s*[([]?\s*\bdot\b\s*[)\]]?\s*[a-z]{2,}\b/i;
+// grouped like a phone number ("555 123 4567", "+44 (20) 7946 0958",
+// "07700 900123"), not just seven digits somewhere ("Room 214 - 2025")
+const PHONE_RE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\b\d{2,5})[\s.-]?\d{3,4}[\s.-]?\d{3,4}\b/;
+const LINK_RE = /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|gg|tv|me|ly|co)\b/i;
+
+// → ["email" | "phone" | "link", …] present in text.
+export function contactDetails(text) {
+  const s = String(text || "");
+  const found = [];
+  if (EMAIL_RE.test(s) || EMAIL_SPELLED_RE.test(s)) found.push("email");
+  if (PHONE_RE.test(s)) found.push("phone");
+  if (LINK_RE.test(s)) found.push("link");
+  return found;
+}
+
+// How much a mosaic (row-major colour names, null = empty) looks like
+// lettering: one background, one thin-stroked ink colour, and rows that
+// switch between them often. → 0..1
+export function textLikeness(cells, grid) {
+  const filled = cells.filter(Boolean);
+  if (filled.length < grid) return 0;
+  const counts = {};
+  for (const c of filled) counts[c] = (counts[c] || 0) + 1;
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  const background = ranked[0][0];
+  const isInk = cells.map((c) => !!c && c !== background);
+  const ink = isInk.filter(Boolean).length;
+  const inkShare = ink / cells.length;
+  if (inkShare < 0.08 || inkShare > 0.5) return 0;
+
+  const oneColour = Math.min((ranked[1]?.[1] || 0) / ink / 0.8, 1);
+
+  let thin = 0;
+  for (let i = 0; i < cells.length; i++) {
+    if (!isInk[i]) continue;
+    const row = Math.floor(i / grid);
+    const col = i % grid;
+    const neighbours = [
+      row > 0 && isInk[i - grid],
+      row < grid - 1 && isInk[i + grid],
+      col > 0 && isInk[i - 1],
+      col < grid - 1 && isInk[i + 1],
+    ].filter(Boolean).length;
+    if (neighbours <= 2) thin++;
+  }
+
+  let busyRows = 0;
+  for (let row = 0; row < grid; row++) {
+    let switches = 0;
+    for (let col = 1; col < grid; col++) {
+      if (isInk[row * grid + col] !== isInk[row * grid + col - 1]) switches++;
+    }
+    if (switches >= 4) busyRows++;
+  }
+
+  const score = oneColour * (thin / ink) * Math.min(busyRows / grid / 0.3, 1);
+  return Math.round(score * 100) / 100;
+}
+
+const SCREENS = new Map([
+  [
+    "words",
+    (input) => {
+      const words = wordList();
+      return ["nickname", "category"].flatMap((field) =>
+        findWords(input[field], words).map((match) => ({
+          type: "word",
+          field,
+          match,
+          weight: WEIGHTS[`word_${field}`],
+        }))
+      );
+    },
+  ],
+  [
+    // the detail itself is not copied into the finding
+    "contact",
+    (input) =>
+      contactDetails(input.nickname).map((type) => ({
+        type,
+        field: "nickname",
+        weight: WEIGHTS[type],
+      })),
+  ],
+  [
+    "image",
+    (input, { image } = {}) => {
+      if (!(image || input.imageClean_b64) || !input.grid) return [];
+      let likeness = 0;
+      try {
+        const { cells } = readMosaic(image || input.imageClean_b64, input.grid);
+        likeness = textLikeness(cells, input.grid);
+      } catch (err) {
+        console.warn("[BrickArt] Image screening skipped:", err?.message || err);
+      }
+      return likeness >= 0.5
+        ? [{ type: "image_text", field: "imageClean_b64", likeness, weight: WEIGHTS.image_text }]
+        : [];
+    },
+  ],
+]);
+
+// Replace, add (new name) or remove (fn = null) a screen.
+export function setScreen(name, fn) {
+  if (fn) SCREENS.set(name, fn);
+  else SCREENS.delete(name);
+}
+
+// → { score, level: "ok" | "review" | "reject", findings, screenedAt }
+export async function screenSubmission(input, { image } = {}) {
+  const findings = [];
+  for (const [screen, run] of SCREENS) {
+    for (const f of (await run(input, { image })) || []) findings.push({ screen, ...f });
+  }
+  const score = Math.min(
+    findings.reduce((sum, f) => sum + (Number(f.weight) || 0), 0),
+    100
+  );
+  const { reject, review } = screeningConfig();
+  return {
+    score,
+    level: score >= reject ? "reject" : score >= review ? "review" : "ok",
+    findings,
+    screenedAt: new Date().toISOString(),
+  };
+}
+
+const MESSAGES = {
+  word: "contains words that aren't allowed",
+  email: "must not contain an email address",
+  phone: "must not contain a phone number",
+  link: "must not contain a link",
+  image_text: "looks like it contains text",
+};
+
+// Field errors for a rejected submission; one per field.
+export function screeningErrors(result) {
+  const byField = new Map();
+  for (const f of result.findings) {
+    if (!byField.has(f.field)) {
+      byField.set(f.field, { field: f.field, message: MESSAGES[f.type] || "was rejected by screening" });
+    }
+  }
+  return [...byField.values()];
+}
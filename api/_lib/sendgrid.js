@@ -0,0 +1,37 @@
+// /api/_lib/sendgrid.js — SendGrid v3 mail/send over plain fetch
+// (no @sendgrid/mail). Every email goes through here: designmail.js for the
+// design emails, notifications.js for moderation decisions.
+
+export const FROM_EMAIL = process.env.FROM_EMAIL || "designs@brick-art.com";
+
+export async function sendMail(payload) {
+  const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
+  if (!SENDGRID_API_KEY) {
+    throw new Error(JSON.stringify({ step: "sendgrid", error: "SENDGRID_API_KEY is not set" }));
+  }
+
+  // Overridable so tests can point at a local fake.
+  const base = process.env.SENDGRID_API_URL || "https://api.sendgrid.com";
+  const resp = await fetch(`${base}/v3/mail/send`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${SENDGRID_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ from: { email: FROM_EMAIL }, ...payload }),
+  });
+
+  if (!resp.ok) {
+    const errText = await resp.text().catch(() => "");
+    console.error(
+      "[BrickArt] SendGrid error:",
+      resp.status,
+      resp.statusText,
+      errText
+    );
+    throw new Error(
+      JSON.stringify({ step: "sendgrid", status: resp.status, error: errText })
+    );
+  }
+  return true;
+}
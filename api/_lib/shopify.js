@@ -0,0 +1,324 @@
+// /api/_lib/shopify.js — Shopify Admin API client shared by every handler.
+//
+//   const shop = createShopify(shopifyEnv());
+//   await shop.rest("/blogs/1/articles.json")      → { ok, status, data, headers }
+//   await shop.gql(QUERY, variables)               → data (throws ShopifyError)
+//   await shop.uploadB64ToFiles(b64, filename, alt) → CDN URL
+//
+// API version comes from SHOPIFY_API_VERSION (default 2024-07). REST 429s
+// and GraphQL THROTTLED errors are retried after the advertised wait. Pass
+// `transport` (a fetch-compatible function) and/or `adminUrl` to point the
+// client somewhere else, e.g. a local fake in tests.
+
+export const DEFAULT_API_VERSION = "2024-07";
+const MAX_RETRIES = 4;
+
+// "YYYY-MM" versions (and "unstable", newer than all of them) compare as strings.
+export const apiVersionAtLeast = (version, min) => String(version) >= min;
+
+// Every failure carries the pipeline step that failed. The message stays the
+// JSON shape the handlers have always logged.
+export class ShopifyError extends Error {
+  constructor(step, { status, errors, retryable } = {}) {
+    super(JSON.stringify({ step, status, errors }));
+    this.name = "ShopifyError";
+    this.step = step;
+    this.status = status;
+    this.errors = errors;
+    // 5xx, 429 and network-level failures (no status: nothing answered) are
+    // worth retrying; 4xx are not unless the caller knows better. Anything
+    // Shopify refused as userErrors is thrown with retryable: false.
+    this.retryable = retryable ?? (!status || status === 429 || status >= 500);
+  }
+}
+
+export function shopifyEnv() {
+  const STORE   = process.env.SHOPIFY_STORE_DOMAIN;     // e.g. brick-art.myshopify.com
+  const TOKEN   = process.env.SHOPIFY_ADMIN_API_TOKEN;  // needs: write_files, read_files, write_content
+  const BLOG_ID = process.env.BLOG_ID;                  // numeric blog ID
+  if (!STORE || !TOKEN || !BLOG_ID) {
+    console.error("[BrickArt] Missing envs", {
+      STORE: !!STORE,
+      TOKEN: !!TOKEN,
+      BLOG_ID: !!BLOG_ID,
+    });
+    return null;
+  }
+  return {
+    STORE,
+    TOKEN,
+    BLOG_ID,
+    API_VERSION: process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+    ADMIN_URL: process.env.SHOPIFY_ADMIN_URL || null, // override for local fakes
+  };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function createShopify({
+  STORE,
+  TOKEN,
+  API_VERSION = DEFAULT_API_VERSION,
+  ADMIN_URL = null,
+  transport = (...args) => fetch(...args),
+}) {
+  const ADMIN_BASE = ADMIN_URL
+    ? `${ADMIN_URL.replace(/\/+$/, "")}/admin/api/${API_VERSION}`
+    : `https://${STORE}/admin/api/${API_VERSION}`;
+  const REST_BASE = ADMIN_BASE;
+  const GQL_URL   = `${ADMIN_BASE}/graphql.json`;
+
+  // Returns { ok, status, data, headers }. 429s are retried
+  // after Retry-After; other statuses are left to the caller.
+  async function rest(path, init = {}) {
+    const url = `${REST_BASE}${path.startsWith("/") ? "" : "/"}${path}`;
+    for (let attempt = 0; ; attempt++) {
+      console.log("[BrickArt] Shopify REST →", url);
+      const r = await transport(url, {
+        ...init,
+        headers: {
+          "X-Shopify-Access-Token": TOKEN,
+          Accept: "application/json",
+          "Content-Type": "application/json",
+          ...(init.headers || {}),
+        },
+      });
+      if (r.status === 429 && attempt < MAX_RETRIES) {
+        const wait = Number(r.headers.get("retry-after")) || 2 ** attempt;
+        console.warn("[BrickArt] Shopify REST 429, retrying in", wait, "s");
+        await sleep(wait * 1000);
+        continue;
+      }
+      const text = await r.text();
+      let data = {};
+      try {
+        data = text ? JSON.parse(text) : {};
+      } catch {
+        data = text;
+      }
+      return { ok: r.ok, status: r.status, data, headers: r.headers };
+    }
+  }
+
+  // Seconds until the GraphQL bucket can afford `needed` points.
+  function throttleWait(cost, needed) {
+    const t = cost?.throttleStatus;
+    if (!t?.restoreRate) return 1;
+    const missing = Math.max(needed - t.currentlyAvailable, 0);
+    return Math.max(missing / t.restoreRate, 0.5);
+  }
+
+  async function gql(query, variables = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const r = await transport(GQL_URL, {
+        method: "POST",
+        headers: {
+          "X-Shopify-Access-Token": TOKEN,
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ query, variables }),
+      });
+      const text = await r.text();
+      let json = {};
+      try {
+        json = text ? JSON.parse(text) : {};
+      } catch {}
+
+      const cost = json.extensions?.cost;
+      const throttled =
+        r.status === 429 ||
+        (Array.isArray(json.errors) &&
+          json.errors.some((e) => e?.extensions?.code === "THROTTLED"));
+      if (throttled && attempt < MAX_RETRIES) {
+        const wait = throttleWait(cost, cost?.requestedQueryCost || 50);
+        console.warn("[BrickArt] Shopify GQL throttled, retrying in", wait.toFixed(1), "s");
+        await sleep(wait * 1000);
+        continue;
+      }
+
+      if (!r.ok || json.errors) {
+        console.error(
+          "[BrickArt] GQL FAILED",
+          r.status,
+          json.errors || text?.slice(0, 300)
+        );
+        throw new ShopifyError("graphql", {
+          status: r.status,
+          errors: json.errors || text,
+        });
+      }
+
+      // Stay ahead of the bucket: if the next similar query would not fit,
+      // wait now rather than eat a THROTTLED error.
+      const t = cost?.throttleStatus;
+      if (t && cost.actualQueryCost && t.currentlyAvailable < cost.actualQueryCost) {
+        await sleep(throttleWait(cost, cost.actualQueryCost) * 1000);
+      }
+      return json.data;
+    }
+  }
+
+  // Lookup a file URL by filename (GraphQL search), to handle delayed indexing.
+  async function getFileUrlByFilename(filename, tries = 5) {
+    const QUERY = `
+      query files($q: String!) {
+        files(first: 5, query: $q) {
+          edges {
+            node {
+              __typename
+              ... on MediaImage { id alt image { url } }
+              ... on GenericFile { id url }
+            }
+          }
+        }
+      }
+    `;
+    const q = `filename:${filename}`;
+    for (let i = 0; i < tries; i++) {
+      const data = await gql(QUERY, { q });
+      const node = data?.files?.edges?.[0]?.node;
+      if (node) {
+        if (node.__typename === "MediaImage" && node.image?.url) {
+          return node.image.url;
+        }
+        if (node.__typename === "GenericFile" && node.url) {
+          return node.url;
+        }
+      }
+      await sleep(500 + i * 250);
+    }
+    return null;
+  }
+
+  // Staged upload → S3 → fileCreate. Returns the CDN URL (polls if needed).
+  // Defaults to PNG images; pass `kind` for other files (e.g. the PDF guide).
+  async function uploadB64ToFiles(
+    base64,
+    filename,
+    altText,
+    kind = { resource: "IMAGE", contentType: "IMAGE", mimeType: "image/png" }
+  ) {
+    if (!base64) return null;
+    const raw = String(base64)
+      .replace(/^data:[a-zA-Z0-9.+\/-]+;base64,/, "")
+      .trim();
+    if (!raw) return null;
+
+    // 1) stagedUploadsCreate
+    const STAGED_UPLOADS_CREATE = `
+      mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets {
+            url
+            resourceUrl
+            parameters { name value }
+          }
+          userErrors { field message }
+        }
+      }
+    `;
+    const input = [
+      {
+        resource: kind.resource,
+        filename,
+        mimeType: kind.mimeType,
+        httpMethod: "POST",
+      },
+    ];
+    const data1 = await gql(STAGED_UPLOADS_CREATE, { input });
+    const target = data1?.stagedUploadsCreate?.stagedTargets?.[0];
+    const stagedErrors = data1?.stagedUploadsCreate?.userErrors || [];
+    if (!target || stagedErrors.length) {
+      throw new ShopifyError("stagedUploadsCreate", {
+        errors: stagedErrors,
+        retryable: !stagedErrors.length,
+      });
+    }
+
+    // 2) POST bytes to S3
+    const bytes = Buffer.from(raw, "base64");
+    const fileBlob = new Blob([bytes], { type: kind.mimeType });
+    const form = new FormData();
+    for (const p of target.parameters) form.append(p.name, p.value);
+    form.append("file", fileBlob, filename);
+
+    const s3Resp = await transport(target.url, { method: "POST", body: form });
+    if (!s3Resp.ok) {
+      const t = await s3Resp.text().catch(() => "");
+      console.error(
+        "[BrickArt] S3 upload FAILED",
+        s3Resp.status,
+        t?.slice(0, 300)
+      );
+      // a retry stages a fresh target, so even a 403 (expired policy) may pass
+      throw new ShopifyError("s3Upload", {
+        status: s3Resp.status,
+        errors: t,
+        retryable: true,
+      });
+    }
+
+    // 3) fileCreate
+    const FILE_CREATE = `
+      mutation fileCreate($files: [FileCreateInput!]!) {
+        fileCreate(files: $files) {
+          files {
+            __typename
+            ... on MediaImage { id alt image { url } }
+            ... on GenericFile { id url }
+          }
+          userErrors { field message }
+        }
+      }
+    `;
+    const data2 = await gql(FILE_CREATE, {
+      files: [
+        {
+          contentType: kind.contentType,
+          originalSource: target.resourceUrl,
+          alt: altText || "Brick Art submission",
+        },
+      ],
+    });
+
+    const created = data2?.fileCreate?.files?.[0] || null;
+    let url = null;
+    if (created) {
+      if (created.__typename === "MediaImage") {
+        url = created.image?.url || null;
+      } else if (created.__typename === "GenericFile") {
+        url = created.url || null;
+      }
+    }
+
+    if (!url) {
+      console.warn(
+        "[BrickArt] fileCreate returned no URL; polling by filename…"
+      );
+      url = await getFileUrlByFilename(filename);
+    }
+
+    if (!url) {
+      const createErrors = data2?.fileCreate?.userErrors || [];
+      console.error("[BrickArt] fileCreate userErrors:", createErrors);
+      // no userErrors: the file may just not be indexed yet
+      throw new ShopifyError("fileCreate", {
+        errors: createErrors.length ? createErrors : "no url after create",
+        retryable: !createErrors.length,
+      });
+    }
+
+    console.log("[BrickArt] File ready:", url);
+    return url;
+  }
+
+  return {
+    store: STORE,
+    apiVersion: API_VERSION,
+    rest,
+    gql,
+    getFileUrlByFilename,
+    uploadB64ToFiles,
+  };
+}
@@ -0,0 +1,10 @@
+// /api/_lib/slug.js — the tag form of labels: publish.js writes article tags
+// with it, gallery.js matches filters against them.
+
+// turn "Nature / Science" → "nature-science", "Blue 16x16" → "blue-16x16"
+export const slug = (s = "") =>
+  String(s)
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
@@ -0,0 +1,158 @@
+// /api/_lib/store.js — tiny key/value store abstraction.
+//
+// Production: a Redis-compatible REST endpoint (Vercel KV / Upstash) when
+// KV_REST_API_URL + KV_REST_API_TOKEN are set. Otherwise an in-memory Map,
+// which only lives as long as the warm function instance (fine for dev).
+// Values are JSON-serialised; ttl is in seconds. incr() keeps the ttl set
+// by the first increment. mget() reads many keys at once (null for misses).
+// Lists (lpush / lrange / lrem / ltrim) hold JSON values too and never
+// expire.
+
+function memoryStore() {
+  const data = new Map(); // key → { value, expiresAt }
+  const lists = new Map(); // key → [serialised values], newest first
+
+  const live = (key) => {
+    const hit = data.get(key);
+    if (!hit) return null;
+    if (hit.expiresAt && hit.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return hit;
+  };
+
+  return {
+    kind: "memory",
+    async get(key) {
+      const hit = live(key);
+      return hit ? JSON.parse(hit.value) : null;
+    },
+    async mget(keys) {
+      return keys.map((key) => {
+        const hit = live(key);
+        return hit ? JSON.parse(hit.value) : null;
+      });
+    },
+    // Returns false when { nx: true } and the key already exists.
+    async set(key, value, { ttl, nx = false } = {}) {
+      if (nx && live(key)) return false;
+      data.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: ttl ? Date.now() + ttl * 1000 : 0,
+      });
+      return true;
+    },
+    async del(key) {
+      data.delete(key);
+      lists.delete(key);
+    },
+    async incr(key, { ttl } = {}) {
+      const hit = live(key);
+      const n = (hit ? JSON.parse(hit.value) : 0) + 1;
+      data.set(key, {
+        value: JSON.stringify(n),
+        expiresAt: hit ? hit.expiresAt : ttl ? Date.now() + ttl * 1000 : 0,
+      });
+      return n;
+    },
+    async lpush(key, value) {
+      const list = lists.get(key) || [];
+      list.unshift(JSON.stringify(value));
+      lists.set(key, list);
+      return list.length;
+    },
+    // Inclusive range like Redis; stop = -1 means "to the end".
+    async lrange(key, start = 0, stop = -1) {
+      const list = lists.get(key) || [];
+      return list
+        .slice(start, stop === -1 ? undefined : stop + 1)
+        .map((v) => JSON.parse(v));
+    },
+    async lrem(key, value) {
+      const list = lists.get(key) || [];
+      const s = JSON.stringify(value);
+      const kept = list.filter((v) => v !== s);
+      lists.set(key, kept);
+      return list.length - kept.length;
+    },
+    // Keep only start..stop (inclusive, like Redis).
+    async ltrim(key, start = 0, stop = -1) {
+      const list = lists.get(key) || [];
+      lists.set(key, list.slice(start, stop === -1 ? undefined : stop + 1));
+    },
+  };
+}
+
+function kvStore(url, token) {
+  async function command(...args) {
+    const r = await fetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(args),
+    });
+    const json = await r.json().catch(() => ({}));
+    if (!r.ok || json.error) {
+      throw new Error(
+        JSON.stringify({ step: "kv", command: args[0], status: r.status, error: json.error })
+      );
+    }
+    return json.result;
+  }
+
+  return {
+    kind: "kv",
+    async get(key) {
+      const raw = await command("GET", key);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async mget(keys) {
+      if (!keys.length) return [];
+      const raw = (await command("MGET", ...keys)) || [];
+      return raw.map((v) => (v == null ? null : JSON.parse(v)));
+    },
+    async set(key, value, { ttl, nx = false } = {}) {
+      const args = ["SET", key, JSON.stringify(value)];
+      if (ttl) args.push("EX", String(ttl));
+      if (nx) args.push("NX");
+      return (await command(...args)) === "OK";
+    },
+    async del(key) {
+      await command("DEL", key);
+    },
+    async incr(key, { ttl } = {}) {
+      const n = await command("INCR", key);
+      if (n === 1 && ttl) await command("EXPIRE", key, String(ttl));
+      return n;
+    },
+    async lpush(key, value) {
+      return command("LPUSH", key, JSON.stringify(value));
+    },
+    async lrange(key, start = 0, stop = -1) {
+      const raw = (await command("LRANGE", key, String(start), String(stop))) || [];
+      return raw.map((v) => JSON.parse(v));
+    },
+    async lrem(key, value) {
+      return command("LREM", key, "0", JSON.stringify(value));
+    },
+    async ltrim(key, start = 0, stop = -1) {
+      await command("LTRIM", key, String(start), String(stop));
+    },
+  };
+}
+
+let shared = null;
+
+export function getStore() {
+  if (shared) return shared;
+  const url = process.env.KV_REST_API_URL;
+  const token = process.env.KV_REST_API_TOKEN;
+  shared = url && token ? kvStore(url, token) : memoryStore();
+  return shared;
+}
+
+// For tests and tools that want an isolated store.
+export { memoryStore };
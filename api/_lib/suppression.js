@@ -0,0 +1,79 @@
+// /api/_lib/suppression.js — who we may email, and signed unsubscribe links.
+//
+// Suppressions live in the shared store under a hash of the address:
+//   "marketing" → transactional mail only (no Challenge / promo content)
+//   "all"       → nothing at all (also set by SendGrid spam reports and
+//                 hard bounces, see emailevents.js)
+// Unsubscribe links carry an HMAC (UNSUBSCRIBE_SECRET) over the address, so
+// /api/unsubscribe can act on them without a login. Without the secret no
+// links are generated.
+
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+
+export const SCOPES = ["marketing", "all"];
+
+const keyFor = (email) =>
+  `suppress:${createHash("sha256").update(String(email).trim().toLowerCase()).digest("hex")}`;
+
+// → null | { scope, at, source }
+export async function getSuppression(store, email) {
+  return email ? store.get(keyFor(email)) : null;
+}
+
+// "all" always wins over "marketing".
+export async function suppress(store, email, scope = "marketing", source = "unsubscribe") {
+  const current = await getSuppression(store, email);
+  if (current?.scope === "all" && scope !== "all") return current;
+  const record = { scope, at: new Date().toISOString(), source };
+  await store.set(keyFor(email), record);
+  return record;
+}
+
+export const unsuppress = (store, email) => store.del(keyFor(email));
+
+// --- Signed tokens: base64url(email) + "." + base64url(hmac) ---
+
+function hmac(payload) {
+  return createHmac("sha256", process.env.UNSUBSCRIBE_SECRET)
+    .update(payload)
+    .digest("base64url");
+}
+
+export function unsubscribeToken(email) {
+  if (!process.env.UNSUBSCRIBE_SECRET) return null;
+  const payload = Buffer.from(String(email).trim().toLowerCase()).toString("base64url");
+  return `${payload}.${hmac(payload)}`;
+}
+
+// → the email address, or null when the token is missing / forged.
+export function verifyUnsubscribeToken(token) {
+  if (!process.env.UNSUBSCRIBE_SECRET || typeof token !== "string") return null;
+  const [payload, sig] = token.split(".");
+  if (!payload || !sig) return null;
+  const expected = Buffer.from(hmac(payload));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+  return Buffer.from(payload, "base64url").toString("utf8");
+}
+
+// Public base URL of this deployment (API_BASE_URL, else the request host).
+export function apiBaseUrl(req) {
+  if (process.env.API_BASE_URL) return process.env.API_BASE_URL.replace(/\/+$/, "");
+  const host = req?.headers?.["x-forwarded-host"] || req?.headers?.host;
+  return host ? `https://${host}` : null;
+}
+
+// → { url, headers } for the SendGrid payload, or null if links are off.
+// List-Unsubscribe-Post makes it RFC 8058 one-click in Gmail / Apple Mail.
+export function unsubscribeLink(email, baseUrl) {
+  const token = unsubscribeToken(email);
+  if (!token || !baseUrl) return null;
+  const url = `${baseUrl}/api/unsubscribe?token=${token}`;
+  return {
+    url,
+    headers: {
+      "List-Unsubscribe": `<${url}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  };
+}
@@ -0,0 +1,187 @@
+// /api/_lib/templates.js — file-based, localized email templates.
+//
+// Templates live in api/_lib/emails/<locale>/ so copy can change without
+// touching handler code:
+//   <name>.html          HTML body
+//   <name>.txt           text body; the first line is "Subject: …"
+//   partials/<name>.html / .txt   included with {{> name}}
+// A locale only needs the files it translates; anything missing falls back
+// to the base language ("es-MX" → "es" → "en").
+//
+// Syntax (a small Mustache subset):
+//   {{name}} / {{a.b}}   value, HTML-escaped in .html files
+//   {{{name}}}           value, never escaped
+//   {{#name}}…{{/name}}  section: repeated for arrays (item fields in scope,
+//                        {{.}} for the item itself), shown once if truthy
+//   {{^name}}…{{/name}}  shown when name is falsy / empty
+//   {{> partial}}        include partials/<partial>.<same extension>
+
+import { readFileSync } from "node:fs";
+
+import { esc } from "./http.js";
+
+const ROOT = new URL("./emails/", import.meta.url);
+export const DEFAULT_LOCALE = "en";
+export const LOCALES = ["en", "es"];
+
+// Locales become directory names; anything else never touches the disk.
+const LOCALE_RE = /^[a-z]{2}(-[a-z]{2})?$/;
+
+const cache = new Map();
+function readTemplate(locale, path) {
+  if (locale && !LOCALE_RE.test(locale)) return null;
+  const key = locale ? `${locale}/${path}` : path;
+  if (!cache.has(key)) {
+    let text = null;
+    try {
+      text = readFileSync(new URL(key, ROOT), "utf8");
+    } catch {}
+    cache.set(key, text);
+  }
+  return cache.get(key);
+}
+
+// "es-MX" → ["es-mx", "es", "en"]
+function fallbacks(locale) {
+  const tag = String(locale || DEFAULT_LOCALE).toLowerCase();
+  return [...new Set([tag, tag.split("-")[0], DEFAULT_LOCALE])];
+}
+
+function findTemplate(locale, path) {
+  for (const l of fallbacks(locale)) {
+    const text = readTemplate(l, path);
+    if (text != null) return text;
+  }
+  return null;
+}
+
+// Best supported locale for an explicit `locale` field, else Accept-Language.
+export function pickLocale(requested, acceptLanguage = "") {
+  const candidates = requested
+    ? [requested]
+    : String(acceptLanguage)
+        .split(",")
+        .map((part) => {
+          const [tag, q] = part.trim().split(";q=");
+          return { tag, q: q === undefined ? 1 : Number(q) };
+        })
+        .filter((c) => c.tag && c.tag !== "*" && c.q > 0)
+        .sort((a, b) => b.q - a.q)
+        .map((c) => c.tag);
+  for (const c of candidates) {
+    const tag = String(c).toLowerCase();
+    if (LOCALES.includes(tag)) return tag;
+    if (LOCALES.includes(tag.split("-")[0])) return tag.split("-")[0];
+  }
+  return DEFAULT_LOCALE;
+}
+
+function lookup(stack, name) {
+  if (name === ".") return stack[stack.length - 1];
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const ctx = stack[i];
+    const [head, ...rest] = name.split(".");
+    if (ctx && typeof ctx === "object" && head in ctx) {
+      return rest.reduce((v, k) => (v == null ? v : v[k]), ctx[head]);
+    }
+  }
+  return undefined;
+}
+
+const TAG = /\{\{(\{?)\s*([#^/>]?)\s*([\w.-]+)\s*\}?\}\}/g;
+
+function render(src, stack, { html, locale, depth = 0 }) {
+  if (depth > 10) throw new Error("Template partials nested too deeply");
+  let out = "";
+  let last = 0;
+  TAG.lastIndex = 0;
+  for (let m; (m = TAG.exec(src)); ) {
+    const [whole, triple, kind, name] = m;
+    out += src.slice(last, m.index);
+    last = m.index + whole.length;
+
+    if (kind === "#" || kind === "^") {
+      const close = `{{/${name}}}`;
+      const end = findClose(src, last, name);
+      if (end < 0) throw new Error(`Unclosed section {{${kind}${name}}}`);
+      const inner = src.slice(last, end);
+      const value = lookup(stack, name);
+      const empty = !value || (Array.isArray(value) && !value.length);
+      const opts = { html, locale, depth };
+      if (kind === "^") {
+        if (empty) out += render(inner, stack, opts);
+      } else if (Array.isArray(value)) {
+        for (const item of value) out += render(inner, [...stack, item], opts);
+      } else if (!empty) {
+        out += render(inner, typeof value === "object" ? [...stack, value] : stack, opts);
+      }
+      last = end + close.length;
+      TAG.lastIndex = last;
+    } else if (kind === ">") {
+      const partial = findTemplate(locale, `partials/${name}.${html ? "html" : "txt"}`);
+      if (partial == null) throw new Error(`Unknown partial ${name}`);
+      out += render(partial.replace(/\n$/, ""), stack, { html, locale, depth: depth + 1 });
+      TAG.lastIndex = last;
+    } else if (kind !== "/") {
+      const value = lookup(stack, name);
+      const text = value == null ? "" : String(value);
+      out += html && !triple ? esc(text) : text;
+    }
+  }
+  return out + src.slice(last);
+}
+
+// Index of the matching {{/name}}, allowing nested sections of the same name.
+function findClose(src, from, name) {
+  const open = new RegExp(`\\{\\{\\s*[#^]\\s*${name.replace(/[.]/g, "\\.")}\\s*\\}\\}`, "g");
+  const close = `{{/${name}}}`;
+  let depth = 1;
+  let i = from;
+  while (depth > 0) {
+    const end = src.indexOf(close, i);
+    if (end < 0) return -1;
+    open.lastIndex = i;
+    const nested = open.exec(src);
+    if (nested && nested.index < end) {
+      depth++;
+      i = nested.index + nested[0].length;
+    } else if (--depth === 0) {
+      return end;
+    } else {
+      i = end + close.length;
+    }
+  }
+  return -1;
+}
+
+// Tidy text bodies: no trailing spaces, at most one blank line in a row.
+const tidy = (text) =>
+  text
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+// → { subject, text, html, locale }
+export function renderEmail(name, data = {}, locale = DEFAULT_LOCALE) {
+  const txt = findTemplate(locale, `${name}.txt`);
+  const html = findTemplate(locale, `${name}.html`);
+  if (txt == null || html == null) throw new Error(`Unknown email template ${name}`);
+
+  const [first, ...body] = txt.split("\n");
+  const subjectLine = first.match(/^Subject:\s*(.*)$/);
+  if (!subjectLine) throw new Error(`${name}.txt must start with "Subject: …"`);
+
+  const stack = [data];
+  return {
+    subject: render(subjectLine[1], stack, { html: false, locale }).trim(),
+    text: tidy(render(body.join("\n"), stack, { html: false, locale })),
+    html: render(html, stack, { html: true, locale }).trim(),
+    locale,
+  };
+}
+
+// Sample data per template for the preview route (emails/samples.json).
+export function sampleData() {
+  const text = readTemplate("", "samples.json");
+  return text ? JSON.parse(text) : {};
+}
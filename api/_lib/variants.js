@@ -0,0 +1,74 @@
+// /api/_lib/variants.js — derived images for each submission.
+// The client PNG can be any size, so every variant is rebuilt from the
+// mosaic's cell colours and scaled nearest-neighbour, which keeps brick
+// edges sharp at any size:
+//   thumb → 256px square for gallery grids
+//   web   → 1024px square for the article page
+//   og    → 1200x630 Open Graph card with nickname, grid and brick count
+
+import { encodePng } from "./png.js";
+import { gridCells, mosaicImage } from "./bricks.js";
+import { createImage, drawImage, drawText, fillRect, fitText, resizeNearest } from "./raster.js";
+
+export const VARIANT_SIZES = { thumb: 256, web: 1024 };
+export const OG_SIZE = { width: 1200, height: 630 };
+
+const OG_BACKGROUND = [27, 42, 52, 255];
+const OG_PLATE = [228, 228, 228, 255];
+const OG_ACCENT = [255, 205, 3, 255];
+const OG_TEXT = [255, 255, 255, 255];
+const OG_MUTED = [160, 178, 190, 255];
+
+// One pixel per cell; transparent where the design left the plate bare.
+function cellsImage(cells, grid) {
+  const img = createImage(grid, grid);
+  cells.forEach((rgb, i) => {
+    if (rgb) img.data.set([...rgb, 255], i * 4);
+  });
+  return img;
+}
+
+function ogCard(mosaic, grid, { nickname, totalBricks }) {
+  const { width, height } = OG_SIZE;
+  const card = createImage(width, height, OG_BACKGROUND);
+
+  // mosaic on a baseplate square, left side
+  const cellPx = Math.floor(510 / grid);
+  const side = cellPx * grid;
+  const mx = 60;
+  const my = Math.round((height - side) / 2);
+  fillRect(card, mx - 10, my - 10, side + 20, side + 20, OG_PLATE);
+  drawImage(card, resizeNearest(mosaic, side, side), mx, my);
+
+  // text column, right side
+  const tx = mx + side + 60;
+  const maxW = width - tx - 50;
+  drawText(card, "BRICK ART", tx, 150, { scale: 6, color: OG_ACCENT });
+  drawText(card, fitText(nickname || "Anonymous", maxW, 7), tx, 240, {
+    scale: 7,
+    color: OG_TEXT,
+  });
+  drawText(card, `${grid}×${grid} mosaic`, tx, 340, { scale: 5, color: OG_MUTED });
+  if (typeof totalBricks === "number") {
+    drawText(card, `${totalBricks} bricks`, tx, 400, { scale: 5, color: OG_MUTED });
+  }
+  fillRect(card, tx, 480, maxW, 6, OG_ACCENT);
+  return card;
+}
+
+// Returns { thumb, web, og } PNG buffers, or null if the image can't be read.
+// Pass the decoded mosaicImage() as image when there is one.
+export function renderVariants({ imageB64, image, grid, nickname, totalBricks }) {
+  let cells;
+  try {
+    cells = gridCells(mosaicImage(image || imageB64), grid);
+  } catch {
+    return null;
+  }
+  const mosaic = cellsImage(cells, grid);
+  return {
+    thumb: encodePng(resizeNearest(mosaic, VARIANT_SIZES.thumb, VARIANT_SIZES.thumb)),
+    web: encodePng(resizeNearest(mosaic, VARIANT_SIZES.web, VARIANT_SIZES.web)),
+    og: encodePng(ogCard(mosaic, grid, { nickname, totalBricks })),
+  };
+}
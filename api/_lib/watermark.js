@@ -0,0 +1,101 @@
+// /api/_lib/watermark.js — server-side Brick Art watermark.
+// The "-logo.png" variant used to come from the browser; now it's built
+// from the clean image so nobody can upload an un-watermarked "logo" copy.
+//
+// Placement is per grid size and can be overridden with WATERMARK as JSON:
+//   { "16": { "position": "bottom-left", "opacity": 0.6, "scale": 0.4 } }
+// position: top-left | top-right | bottom-left | bottom-right | center
+// scale:    logo width as a fraction of the image width
+//
+// The logo is WATERMARK_LOGO_B64 (a PNG, with or without data: prefix) when
+// set, otherwise a "BRICK ART" badge drawn with the bitmap font.
+
+import { decodePng, encodePng, pngBufferFromBase64 } from "./png.js";
+import { mosaicImage } from "./bricks.js";
+import { createImage, drawImage, drawText, fillRect, resizeNearest, textWidth } from "./raster.js";
+
+export const WATERMARK_DEFAULTS = {
+  16: { position: "bottom-right", opacity: 0.85, scale: 0.4 },
+  32: { position: "bottom-right", opacity: 0.85, scale: 0.3 },
+};
+
+const POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right", "center"];
+
+export function watermarkConfig(grid) {
+  let overrides = {};
+  if (process.env.WATERMARK) {
+    try {
+      overrides = JSON.parse(process.env.WATERMARK)[grid] || {};
+    } catch (err) {
+      console.error("[BrickArt] WATERMARK is not valid JSON", err);
+    }
+  }
+  const cfg = { ...(WATERMARK_DEFAULTS[grid] || WATERMARK_DEFAULTS[16]), ...overrides };
+  return {
+    position: POSITIONS.includes(cfg.position) ? cfg.position : "bottom-right",
+    opacity: Math.min(Math.max(Number(cfg.opacity) || 0, 0), 1),
+    scale: Math.min(Math.max(Number(cfg.scale) || 0.3, 0.05), 1),
+  };
+}
+
+let customLogo;
+function logoImage() {
+  if (customLogo === undefined) {
+    customLogo = null;
+    if (process.env.WATERMARK_LOGO_B64) {
+      try {
+        customLogo = decodePng(pngBufferFromBase64(process.env.WATERMARK_LOGO_B64));
+      } catch (err) {
+        console.error("[BrickArt] WATERMARK_LOGO_B64 is not a readable PNG", err);
+      }
+    }
+  }
+  return customLogo;
+}
+
+// Yellow-on-dark text badge, drawn at the largest whole-pixel scale that fits.
+function badge(width) {
+  const text = "BRICK ART";
+  const s = Math.max(1, Math.floor(width / (textWidth(text, 1) + 4)));
+  const img = createImage(textWidth(text, s) + 4 * s, 11 * s);
+  fillRect(img, 0, 0, img.width, img.height, [27, 42, 52, 230]);
+  drawText(img, text, 2 * s, 2 * s, { scale: s, color: [255, 205, 3, 255] });
+  return img;
+}
+
+export function applyWatermark(image, grid) {
+  const { position, opacity, scale } = watermarkConfig(grid);
+  const targetW = Math.max(1, Math.round(image.width * scale));
+  const custom = logoImage();
+  const logo = custom
+    ? resizeNearest(custom, targetW, Math.max(1, Math.round((custom.height * targetW) / custom.width)))
+    : badge(targetW);
+
+  const margin = Math.round(image.width * 0.03);
+  const x = position.endsWith("left")
+    ? margin
+    : position.endsWith("right")
+      ? image.width - logo.width - margin
+      : Math.round((image.width - logo.width) / 2);
+  const y = position.startsWith("top")
+    ? margin
+    : position.startsWith("bottom")
+      ? image.height - logo.height - margin
+      : Math.round((image.height - logo.height) / 2);
+
+  const out = { ...image, data: Uint8Array.from(image.data) };
+  drawImage(out, logo, x, y, { opacity });
+  return out;
+}
+
+// Clean PNG (base64 or mosaicImage()) → watermarked PNG buffer, or null if
+// it can't be read.
+export function watermarkB64(imageB64, grid) {
+  let image;
+  try {
+    image = mosaicImage(imageB64);
+  } catch {
+    return null;
+  }
+  return encodePng(applyWatermark(image, grid));
+}
@@ -0,0 +1,58 @@
+// /api/design.js — the design source behind a gallery submission
+//
+//   GET /api/design?articleId=123
+//   → { ok, articleId, design: { format, version, width, height, palette,
+//       cells, … } } (see api/_lib/design.js)
+//
+// Published (approved) designs are public so the mosaic app can reopen or
+// remix them; unpublished ones need `Authorization: Bearer <MODERATION_TOKEN>`.
+
+import { applyCors, requireAdmin } from "./_lib/http.js";
+import { createShopify, shopifyEnv } from "./_lib/shopify.js";
+import { getArticle, getArticleMetafields } from "./_lib/moderation.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, { methods: "GET, OPTIONS" })) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  const articleId = String(req.query?.articleId || "");
+  if (!/^\d+$/.test(articleId)) {
+    return res.status(400).json({ ok: false, error: "Expected a numeric 'articleId'" });
+  }
+
+  const env = shopifyEnv();
+  if (!env) {
+    return res.status(500).json({ ok: false, error: "Server not configured" });
+  }
+  const shop = createShopify(env);
+
+  try {
+    const article = await getArticle(shop, env.BLOG_ID, articleId);
+    if (!article) return res.status(404).json({ ok: false, error: "Not found" });
+    const published = !!article.published_at;
+    if (!published && !requireAdmin(req, res)) return;
+
+    const mf = await getArticleMetafields(shop, articleId);
+    if (!mf.design) {
+      return res.status(404).json({ ok: false, error: "No design source for this submission" });
+    }
+    const r = await fetch(mf.design);
+    if (!r.ok) {
+      console.error("[BrickArt] Design file fetch failed", r.status, mf.design);
+      return res.status(502).json({ ok: false, error: "Design file unavailable" });
+    }
+    const design = await r.json();
+
+    res.setHeader(
+      "Cache-Control",
+      published ? "public, s-maxage=3600, stale-while-revalidate=86400" : "no-store"
+    );
+    return res.status(200).json({ ok: true, articleId: article.id, design });
+  } catch (err) {
+    console.error("[BrickArt] /api/design error:", err);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+}
@@ -0,0 +1,48 @@
+// /api/email-preview.js — render an email template with sample data
+//
+//   GET /api/email-preview                                  → { templates, locales }
+//   GET /api/email-preview?template=design&locale=es         → HTML body
+//   GET /api/email-preview?template=design&format=text       → subject + text body
+//   GET /api/email-preview?template=design&format=json       → { subject, text, html }
+//
+// Sample data comes from api/_lib/emails/samples.json; nothing is sent.
+
+import { applyCors, esc } from "./_lib/http.js";
+import { LOCALES, pickLocale, renderEmail, sampleData } from "./_lib/templates.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, { methods: "GET, OPTIONS" })) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  const samples = sampleData();
+  const { template, locale = "en", format = "html" } = req.query || {};
+  res.setHeader("Cache-Control", "no-store");
+
+  if (!template) {
+    return res.status(200).json({ ok: true, templates: Object.keys(samples), locales: LOCALES });
+  }
+  if (!samples[template]) {
+    return res.status(404).json({ ok: false, error: `Unknown template '${template}'` });
+  }
+
+  try {
+    const email = renderEmail(template, samples[template], pickLocale(locale));
+    if (format === "json") return res.status(200).json({ ok: true, ...email });
+    if (format === "text") {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      return res.status(200).send(`Subject: ${email.subject}\n\n${email.text}\n`);
+    }
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res
+      .status(200)
+      .send(
+        `<!doctype html><html lang="${esc(email.locale)}"><head><meta charset="utf-8"><title>${esc(email.subject)}</title></head><body>${email.html}</body></html>`
+      );
+  } catch (err) {
+    console.error("[BrickArt] /api/email-preview error:", err);
+    return res.status(500).json({ ok: false, error: "Template error", detail: err?.message });
+  }
+}
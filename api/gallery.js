@@ -0,0 +1,93 @@
+// /api/gallery.js — public gallery of approved (published) submissions
+//
+//   GET /api/gallery?category=space&size=32&plate=blue-16x16
+//                   &sort=date|bricks&order=desc|asc&limit=24&cursor=…
+//
+// → { ok, items: [{ articleId, nickname, totalBricks, brickCounts,
+//                   thumbnailUrl, imageUrl, url, … }], total, nextCursor }
+// Pass nextCursor back as ?cursor= for the next page; it's null at the end.
+//
+//   GET /api/gallery?tree=123
+//
+// → { ok, ancestors, tree } — the remix lineage of a published design:
+// ancestors root first, tree = { articleId, …, remixes: [ …same shape ] }.
+
+import { applyCors } from "./_lib/http.js";
+import { createShopify, shopifyEnv } from "./_lib/shopify.js";
+import { getStore } from "./_lib/store.js";
+import {
+  SORTS,
+  decodeCursor,
+  encodeCursor,
+  filterAndSort,
+  galleryIndex,
+  withDetails,
+} from "./_lib/gallery.js";
+import { remixTree } from "./_lib/remix.js";
+
+const MAX_LIMIT = 48;
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, { methods: "GET, OPTIONS" })) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  const { category, size, plate, sort = "date", order = "desc", limit, cursor, tree } =
+    req.query || {};
+  const offset = decodeCursor(cursor);
+  const errors = [];
+  if (offset === null) errors.push({ field: "cursor", message: "is not a valid cursor" });
+  if (!SORTS[sort]) {
+    errors.push({ field: "sort", message: `must be one of ${Object.keys(SORTS).join(", ")}` });
+  }
+  if (order !== "asc" && order !== "desc") {
+    errors.push({ field: "order", message: "must be asc or desc" });
+  }
+  if (tree !== undefined && !/^\d+$/.test(String(tree))) {
+    errors.push({ field: "tree", message: "must be an article id" });
+  }
+  if (errors.length) {
+    return res.status(400).json({ ok: false, error: "Invalid query", fields: errors });
+  }
+  const n = Math.min(Math.max(Number(limit) || 24, 1), MAX_LIMIT);
+
+  const env = shopifyEnv();
+  if (!env) {
+    return res.status(500).json({ ok: false, error: "Server not configured" });
+  }
+  const shop = createShopify(env);
+
+  try {
+    const store = getStore();
+    const { blogHandle, entries } = await galleryIndex(store, shop, env.BLOG_ID);
+    res.setHeader("Cache-Control", "public, s-maxage=300, stale-while-revalidate=600");
+
+    if (tree !== undefined) {
+      const lineage = remixTree(entries, tree, {
+        urlFor: (e) =>
+          blogHandle && e.handle ? `https://${shop.store}/blogs/${blogHandle}/${e.handle}` : null,
+      });
+      if (!lineage) {
+        res.setHeader("Cache-Control", "no-store");
+        return res.status(404).json({ ok: false, error: "Not found" });
+      }
+      return res.status(200).json({ ok: true, ...lineage });
+    }
+
+    const matches = filterAndSort(entries, { category, size, plate, sort, order });
+    const page = matches.slice(offset, offset + n);
+    const items = await withDetails(store, shop, page, blogHandle);
+
+    return res.status(200).json({
+      ok: true,
+      items,
+      total: matches.length,
+      nextCursor: offset + n < matches.length ? encodeCursor(offset + n) : null,
+    });
+  } catch (err) {
+    console.error("[BrickArt] /api/gallery error:", err);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+}
@@ -0,0 +1,91 @@
+// /api/jobs.js — publishing job worker + dead-letter inspection (team only)
+//
+//   GET  /api/jobs?run=1                 → worker tick (Vercel Cron)
+//   GET  /api/jobs[?list=dead]           → queued (or dead-lettered) jobs
+//   GET  /api/jobs?jobId=…               → one job with its checkpoints
+//   POST /api/jobs { action: "run", limit? }
+//   POST /api/jobs { action: "replay", jobId }   → dead letter back to queue
+//
+// Requires `Authorization: Bearer <MODERATION_TOKEN>` (or CRON_SECRET).
+
+import { applyCors, parseBodyOr400, requireAdmin } from "./_lib/http.js";
+import { getStore } from "./_lib/store.js";
+import {
+  DEAD,
+  QUEUE,
+  getJob,
+  getJobPayload,
+  listJobs,
+  replayJob,
+  runDueJobs,
+} from "./_lib/jobs.js";
+import { JOB_HANDLERS } from "./_lib/publish.js";
+import { complete } from "./_lib/idempotency.js";
+
+// Once a queued submission finishes, repeats of the original request should
+// get the real result rather than the 202.
+async function settleIdempotency(store, ran) {
+  for (const r of ran) {
+    if (r.status !== "done") continue;
+    const job = await getJob(store, r.id);
+    const payload = await getJobPayload(store, r.id);
+    if (job && payload?.idemKey) await complete(store, payload.idemKey, job.result);
+  }
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+  if (!requireAdmin(req, res, { allowCron: true })) return;
+
+  const store = getStore();
+
+  try {
+    const query = req.query || {};
+    const body = req.method === "POST" ? parseBodyOr400(req, res) : {};
+    if (!body) return;
+    const action = body.action || (query.run ? "run" : null);
+
+    if (action === "run") {
+      const ran = await runDueJobs(store, JOB_HANDLERS, {
+        limit: Math.min(Number(body.limit || query.limit) || 5, 25),
+      });
+      await settleIdempotency(store, ran);
+      return res.status(200).json({ ok: true, ran });
+    }
+
+    if (action === "replay") {
+      const job = await replayJob(store, body.jobId);
+      if (!job) {
+        return res.status(404).json({ ok: false, error: "No dead-lettered job with that id" });
+      }
+      console.log("[BrickArt] Job replayed:", job.id);
+      return res.status(200).json({ ok: true, jobId: job.id, status: job.status });
+    }
+
+    if (req.method === "POST") {
+      return res.status(400).json({ ok: false, error: "Expected action 'run' or 'replay'" });
+    }
+
+    if (query.jobId) {
+      const job = await getJob(store, query.jobId);
+      if (!job) return res.status(404).json({ ok: false, error: "Not found" });
+      const { imageClean_b64, imageLogo_b64, ...rest } =
+        (await getJobPayload(store, query.jobId)) || {};
+      return res.status(200).json({ ok: true, job: { ...job, payload: rest } });
+    }
+
+    const jobs = await listJobs(store, query.list === "dead" ? DEAD : QUEUE);
+    return res.status(200).json({ ok: true, list: query.list === "dead" ? "dead" : "queue", jobs });
+  } catch (err) {
+    console.error("[BrickArt] Jobs server error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "Server error",
+      detail: err?.message || String(err),
+    });
+  }
+}
@@ -0,0 +1,100 @@
+// /api/moderation.js — Brick Art moderation queue (team only)
+//
+//   GET  /api/moderation                 → list unpublished submissions
+//   GET  /api/moderation?articleId=123   → one submission
+//        both include emailEvents (SendGrid delivery events, newest first)
+//   POST /api/moderation { articleId, action, note?, moderator?, notify? }
+//        action: "approve" | "reject" | "request_changes"
+//        approve / reject email the submitter unless notify === false
+//
+// Requires `Authorization: Bearer <MODERATION_TOKEN>`.
+
+import { applyCors, parseBodyOr400, requireAdmin } from "./_lib/http.js";
+import { createShopify, shopifyEnv } from "./_lib/shopify.js";
+import { moderationRequestSchema, validateOr400 } from "./_lib/schema.js";
+import {
+  approveSubmission,
+  getSubmission,
+  listPending,
+  rejectSubmission,
+  requestChanges,
+} from "./_lib/moderation.js";
+import { invalidateGallery } from "./_lib/gallery.js";
+import { listEmailEvents } from "./_lib/emailevents.js";
+import { getStore } from "./_lib/store.js";
+
+const ACTIONS = {
+  approve: approveSubmission,
+  reject: rejectSubmission,
+  request_changes: requestChanges,
+};
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+  if (!requireAdmin(req, res)) return;
+
+  const env = shopifyEnv();
+  if (!env) {
+    return res.status(500).json({ ok: false, error: "Server not configured" });
+  }
+  const shop = createShopify(env);
+
+  try {
+    if (req.method === "GET") {
+      const { articleId, limit, pageInfo } = req.query || {};
+      if (articleId && !/^\d+$/.test(String(articleId))) {
+        return res.status(400).json({ ok: false, error: "Expected numeric 'articleId'" });
+      }
+      if (articleId) {
+        const submission = await getSubmission(shop, env.BLOG_ID, articleId);
+        if (!submission) {
+          return res.status(404).json({ ok: false, error: "Not found" });
+        }
+        submission.emailEvents = await listEmailEvents(getStore(), submission.articleId);
+        return res.status(200).json({ ok: true, submission });
+      }
+      const page = await listPending(shop, env.BLOG_ID, { limit, pageInfo });
+      for (const s of page.submissions) {
+        s.emailEvents = await listEmailEvents(getStore(), s.articleId);
+      }
+      return res.status(200).json({ ok: true, ...page });
+    }
+
+    const body = parseBodyOr400(req, res);
+    if (!body) return;
+    const input = validateOr400(moderationRequestSchema, body, res);
+    if (!input) return;
+    const { articleId, action, note, moderator, notify } = input;
+    const run = ACTIONS[action];
+    if (!run) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid request body",
+        fields: [{ field: "action", message: `must be one of ${Object.keys(ACTIONS).join(", ")}` }],
+      });
+    }
+
+    const submission = await run(shop, env.BLOG_ID, articleId, {
+      note,
+      moderator,
+      notify,
+    });
+    if (!submission) {
+      return res.status(404).json({ ok: false, error: "Not found" });
+    }
+    if (action !== "request_changes") await invalidateGallery(getStore(), [articleId]);
+    console.log("[BrickArt] Moderation:", action, articleId);
+    return res.status(200).json({ ok: true, submission });
+  } catch (err) {
+    console.error("[BrickArt] Moderation server error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "Server error",
+      detail: err?.message || String(err),
+    });
+  }
+}
@@ -0,0 +1,75 @@
+// /api/parts-list.js — downloadable parts lists for a design
+//
+//   GET  /api/parts-list?articleId=123&format=csv|xml   (published gallery articles)
+//   POST /api/parts-list { brickCounts, format }        (straight from the app)
+
+import { applyCors, parseBodyOr400 } from "./_lib/http.js";
+import { createShopify, shopifyEnv } from "./_lib/shopify.js";
+import { getArticle, getArticleMetafields } from "./_lib/moderation.js";
+import { TYPES } from "./_lib/schema.js";
+import { toBrickLinkXml, toCsv } from "./_lib/partslist.js";
+
+function send(res, brickCounts, format, baseName) {
+  if (format === "xml") {
+    const { xml, unmapped } = toBrickLinkXml(brickCounts);
+    if (unmapped.length) res.setHeader("X-BrickArt-Unmapped", unmapped.join(", "));
+    res.setHeader("Content-Type", "application/xml; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}-bricklink.xml"`);
+    return res.status(200).send(xml);
+  }
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${baseName}-parts.csv"`);
+  return res.status(200).send(toCsv(brickCounts));
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  try {
+    if (req.method === "POST") {
+      const body = parseBodyOr400(req, res);
+      if (!body) return;
+      const { brickCounts, format } = body;
+      const counts = brickCounts == null ? { error: "is required" } : TYPES.counts(brickCounts);
+      if (counts.error) {
+        return res.status(400).json({
+          ok: false,
+          error: "Invalid request body",
+          fields: [{ field: "brickCounts", message: counts.error }],
+        });
+      }
+      return send(res, counts.value, format, "BrickArt");
+    }
+
+    const { articleId, format } = req.query || {};
+    if (!articleId || !/^\d+$/.test(String(articleId))) {
+      return res.status(400).json({ ok: false, error: "Expected numeric 'articleId'" });
+    }
+
+    const env = shopifyEnv();
+    if (!env) {
+      return res.status(500).json({ ok: false, error: "Server not configured" });
+    }
+    const shop = createShopify(env);
+
+    // only published gallery articles are downloadable
+    const article = await getArticle(shop, env.BLOG_ID, articleId);
+    if (!article || !article.published_at) {
+      return res.status(404).json({ ok: false, error: "Not found" });
+    }
+    const mf = await getArticleMetafields(shop, articleId);
+    if (!mf.brick_counts) {
+      return res.status(404).json({ ok: false, error: "No brick counts for this design" });
+    }
+
+    res.setHeader("Cache-Control", "public, s-maxage=3600");
+    return send(res, mf.brick_counts, format, `BrickArt-${article.handle || articleId}`);
+  } catch (err) {
+    console.error("[BrickArt] /api/parts-list error:", err);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+}
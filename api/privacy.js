@@ -0,0 +1,62 @@
+// /api/privacy.js — data deletion requests (team only)
+//
+//   POST /api/privacy { email, dryRun?, scan? }
+//        → deletes every submission by that email: article, metafields,
+//          Files, metaobject mirror, stored delivery events, perceptual
+//          hash and unfinished publishing jobs. dryRun lists what would go;
+//          scan also checks articles published before the email index.
+//
+// Requires `Authorization: Bearer <MODERATION_TOKEN>`.
+
+import { applyCors, parseBodyOr400, requireAdmin } from "./_lib/http.js";
+import { createShopify, shopifyEnv } from "./_lib/shopify.js";
+import { eraseSubmitterData } from "./_lib/privacy.js";
+import { invalidateGallery } from "./_lib/gallery.js";
+import { privacyRequestSchema, validateOr400 } from "./_lib/schema.js";
+import { getStore } from "./_lib/store.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+  if (!requireAdmin(req, res)) return;
+
+  const env = shopifyEnv();
+  if (!env) {
+    return res.status(500).json({ ok: false, error: "Server not configured" });
+  }
+
+  const body = parseBodyOr400(req, res);
+  if (!body) return;
+  const input = validateOr400(privacyRequestSchema, body, res);
+  if (!input) return;
+  const { email, dryRun, scan } = input;
+
+  try {
+    const store = getStore();
+    const result = await eraseSubmitterData(
+      createShopify(env),
+      env.BLOG_ID,
+      store,
+      email,
+      { dryRun: dryRun === true, scan: scan === true }
+    );
+    if (!result.dryRun && result.articles.length) {
+      await invalidateGallery(store, result.articles.map((a) => a.articleId));
+    }
+    console.log("[BrickArt] Privacy erasure:", {
+      dryRun: result.dryRun,
+      articles: result.articles.length,
+    });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (err) {
+    console.error("[BrickArt] Privacy erasure error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "Server error",
+      detail: err?.message || String(err),
+    });
+  }
+}
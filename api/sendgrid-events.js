@@ -0,0 +1,56 @@
+// /api/sendgrid-events.js — SendGrid Event Webhook receiver
+//
+//   POST /api/sendgrid-events   (configured in SendGrid → Mail Settings →
+//                                Event Webhook, with Signed Event Webhook on)
+//
+// Requests must carry a valid X-Twilio-Email-Event-Webhook-Signature for
+// SENDGRID_WEBHOOK_PUBLIC_KEY. Tagged events are stored per submission /
+// email; see api/_lib/emailevents.js.
+
+import { readRawBody } from "./_lib/http.js";
+import { getStore } from "./_lib/store.js";
+import { recordEvents, verifyEventSignature } from "./_lib/emailevents.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+  if (!publicKey) {
+    console.error("[BrickArt] SENDGRID_WEBHOOK_PUBLIC_KEY is not set");
+    return res.status(500).json({ ok: false, error: "Webhook not configured" });
+  }
+
+  const body = await readRawBody(req, 5 * 1024 * 1024);
+  if (!body) {
+    return res.status(413).json({ ok: false, error: "Payload too large" });
+  }
+
+  const ok = verifyEventSignature({
+    publicKey,
+    signature: req.headers["x-twilio-email-event-webhook-signature"],
+    timestamp: req.headers["x-twilio-email-event-webhook-timestamp"],
+    body,
+  });
+  if (!ok) {
+    return res.status(401).json({ ok: false, error: "Invalid signature" });
+  }
+
+  let events;
+  try {
+    events = JSON.parse(body.toString("utf8"));
+  } catch {
+    return res.status(400).json({ ok: false, error: "Invalid JSON body" });
+  }
+
+  try {
+    const stored = await recordEvents(getStore(), events);
+    console.log("[BrickArt] SendGrid events stored:", stored);
+    return res.status(200).json({ ok: true, stored });
+  } catch (err) {
+    // a 5xx makes SendGrid retry the batch later
+    console.error("[BrickArt] /api/sendgrid-events error:", err);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+}
@@ -1,5 +1,27 @@
 // /api/submit.js — Brick Art Publisher (Vercel serverless)
-// Staged uploads to Shopify Files → create Blog Article (published).
+// Staged uploads to Shopify Files → create Blog Article (unpublished).
+//
+// Every valid submission is first written to the durable job store, then
+// processed right away. If a Shopify step fails the job is retried with
+// backoff by the /api/jobs worker (resuming from its last checkpoint) and
+// this route answers 202 with the jobId instead of losing the submission.
+// Failures Shopify won't accept on any retry (userErrors) dead-letter the
+// job straight away and answer 502.
+
+import { getStore } from "./_lib/store.js";
+import { claim, complete, idempotencyKey, release } from "./_lib/idempotency.js";
+import { submissionSchema, validateOr400 } from "./_lib/schema.js";
+import { createShopify, shopifyEnv } from "./_lib/shopify.js";
+import { enqueue, getJob, runJob } from "./_lib/jobs.js";
+import { JOB_HANDLERS, prepareSubmission } from "./_lib/publish.js";
+import { pickLocale } from "./_lib/templates.js";
+import { clientIp, rateLimitOr429 } from "./_lib/ratelimit.js";
+import { captchaOr403 } from "./_lib/captcha.js";
+import { applyConsent, consentErrors } from "./_lib/consent.js";
+import { designErrors } from "./_lib/design.js";
+import { resolveParent } from "./_lib/remix.js";
+import { screenSubmission, screeningErrors } from "./_lib/screening.js";
+import { mosaicImage } from "./_lib/bricks.js";
 
 export default async function handler(req, res) {
   // --- 1) CORS ---
@@ -15,7 +37,7 @@ export default async function handler(req, res) {
   }
   res.setHeader("Vary", "Origin");
   res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Idempotency-Key, CF-Turnstile-Response");
   res.setHeader("Access-Control-Max-Age", "86400");
   if (req.method === "OPTIONS") return res.status(204).end();
 
@@ -25,267 +47,46 @@ export default async function handler(req, res) {
   }
 
   // --- 3) Env vars ---
-  const STORE   = process.env.SHOPIFY_STORE_DOMAIN;     // e.g. brick-art.myshopify.com
-  const TOKEN   = process.env.SHOPIFY_ADMIN_API_TOKEN;  // needs: write_files, read_files, write_content
-  const BLOG_ID = process.env.BLOG_ID;                  // numeric blog ID
-
-  if (!STORE || !TOKEN || !BLOG_ID) {
-    console.error("[BrickArt] Missing envs", {
-      STORE: !!STORE,
-      TOKEN: !!TOKEN,
-      BLOG_ID: !!BLOG_ID,
-    });
+  if (!shopifyEnv()) {
     return res
       .status(500)
       .json({ ok: false, error: "Server not configured" });
   }
 
-  const REST_BASE = `https://${STORE}/admin/api/2024-07`;
-  const GQL_URL   = `https://${STORE}/admin/api/2024-07/graphql.json`;
-
-  // --- 4) Helpers ---
-  const esc = (s = "") =>
-    String(s).replace(/[&<>"]/g, (m) =>
-      ({
-        "&": "&amp;",
-        "<": "&lt;",
-        ">": "&gt;",
-        '"': "&quot;",
-      }[m])
-    );
-
-  // turn "Nature / Science" → "nature-science", "Blue 16x16" → "blue-16x16"
-  const slug = (s = "") =>
-    String(s)
-      .toLowerCase()
-      .replace(/&/g, "and")
-      .replace(/[^a-z0-9]+/g, "-")
-      .replace(/^-+|-+$/g, "");
-
-  const toRawBase64 = (src = "") =>
-    src.replace(/^data:image\/[a-zA-Z0-9.+-]+;base64,/, "").trim();
+  const store = getStore();
+  let idemKey = null;
 
-  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-  async function shopifyREST(path, init = {}) {
-    const url = `${REST_BASE}${path.startsWith("/") ? "" : "/"}${path}`;
-    const headers = {
-      "X-Shopify-Access-Token": TOKEN,
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      ...(init.headers || {}),
-    };
-    console.log("[BrickArt] Shopify REST →", url);
-    return fetch(url, { ...init, headers });
-  }
-
-  async function shopifyGQL(query, variables = {}) {
-    const r = await fetch(GQL_URL, {
-      method: "POST",
-      headers: {
-        "X-Shopify-Access-Token": TOKEN,
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      },
-      body: JSON.stringify({ query, variables }),
-    });
-    const text = await r.text();
-    let json = {};
+  try {
+    // --- 4) Parse + validate body (tolerate stringified JSON) ---
+    let body;
     try {
-      json = text ? JSON.parse(text) : {};
-    } catch {}
-    if (!r.ok || json.errors) {
-      console.error(
-        "[BrickArt] GQL FAILED",
-        r.status,
-        json.errors || text?.slice(0, 300)
-      );
-      throw new Error(
-        JSON.stringify({
-          step: "graphql",
-          status: r.status,
-          errors: json.errors || text,
-        })
-      );
-    }
-    return json.data;
-  }
-
-  // Lookup a file URL by filename (GraphQL search), to handle delayed indexing.
-  async function getFileUrlByFilename(filename, tries = 5) {
-    const QUERY = `
-      query files($q: String!) {
-        files(first: 5, query: $q) {
-          edges {
-            node {
-              __typename
-              ... on MediaImage { id alt image { url } }
-              ... on GenericFile { id url }
-            }
-          }
-        }
-      }
-    `;
-    const q = `filename:${filename}`;
-    for (let i = 0; i < tries; i++) {
-      const data = await shopifyGQL(QUERY, { q });
-      const node = data?.files?.edges?.[0]?.node;
-      if (node) {
-        if (node.__typename === "MediaImage" && node.image?.url) {
-          return node.image.url;
-        }
-        if (node.__typename === "GenericFile" && node.url) {
-          return node.url;
-        }
-      }
-      await sleep(500 + i * 250);
-    }
-    return null;
-  }
-
-  // Staged upload → S3 → fileCreate. Returns the CDN URL (polls if needed).
-  async function uploadImageB64ToFiles(base64, filename, altText) {
-    if (!base64) return null;
-    const raw = toRawBase64(base64);
-    if (!raw) return null;
-
-    // 1) stagedUploadsCreate (IMAGE)
-    const STAGED_UPLOADS_CREATE = `
-      mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
-        stagedUploadsCreate(input: $input) {
-          stagedTargets {
-            url
-            resourceUrl
-            parameters { name value }
-          }
-          userErrors { field message }
-        }
-      }
-    `;
-    const input = [
-      {
-        resource: "IMAGE",
-        filename,
-        mimeType: "image/png",
-        httpMethod: "POST",
-      },
-    ];
-    const data1 = await shopifyGQL(STAGED_UPLOADS_CREATE, { input });
-    const target = data1?.stagedUploadsCreate?.stagedTargets?.[0];
-    if (!target) {
-      throw new Error(
-        JSON.stringify({
-          step: "stagedUploadsCreate",
-          errors: data1?.stagedUploadsCreate?.userErrors,
-        })
-      );
-    }
-
-    // 2) POST bytes to S3
-    const bytes = Buffer.from(raw, "base64");
-    const fileBlob = new Blob([bytes], { type: "image/png" });
-    const form = new FormData();
-    for (const p of target.parameters) form.append(p.name, p.value);
-    form.append("file", fileBlob, filename);
-
-    const s3Resp = await fetch(target.url, { method: "POST", body: form });
-    if (!s3Resp.ok) {
-      const t = await s3Resp.text().catch(() => "");
-      console.error(
-        "[BrickArt] S3 upload FAILED",
-        s3Resp.status,
-        t?.slice(0, 300)
-      );
-      throw new Error(
-        JSON.stringify({
-          step: "s3Upload",
-          status: s3Resp.status,
-          error: t,
-        })
-      );
-    }
-
-    // 3) fileCreate
-    const FILE_CREATE = `
-      mutation fileCreate($files: [FileCreateInput!]!) {
-        fileCreate(files: $files) {
-          files {
-            __typename
-            ... on MediaImage { id alt image { url } }
-            ... on GenericFile { id url }
-          }
-          userErrors { field message }
-        }
-      }
-    `;
-    const data2 = await shopifyGQL(FILE_CREATE, {
-      files: [
-        {
-          contentType: "IMAGE",
-          originalSource: target.resourceUrl,
-          alt: altText || "Brick Art submission",
-        },
-      ],
-    });
-
-    const created = data2?.fileCreate?.files?.[0] || null;
-    let url = null;
-    if (created) {
-      if (created.__typename === "MediaImage") {
-        url = created.image?.url || null;
-      } else if (created.__typename === "GenericFile") {
-        url = created.url || null;
-      }
-    }
-
-    if (!url) {
-      console.warn(
-        "[BrickArt] fileCreate returned no URL; polling by filename…"
-      );
-      url = await getFileUrlByFilename(filename);
+      body =
+        typeof req.body === "string" ? JSON.parse(req.body) : req.body || {};
+    } catch {
+      return res.status(400).json({ ok: false, error: "Invalid JSON body" });
     }
-
-    if (!url) {
-      console.error(
-        "[BrickArt] fileCreate userErrors:",
-        data2?.fileCreate?.userErrors
-      );
-      throw new Error(
-        JSON.stringify({
-          step: "fileCreate",
-          errors: data2?.fileCreate?.userErrors || "no url after create",
-        })
-      );
+    const validated = validateOr400(submissionSchema, body, res);
+    if (!validated) return;
+
+    // --- 4a) Consent (required for the gallery) + design/grid agreement ---
+    const crossFields = [...consentErrors(validated), ...designErrors(validated)];
+    if (crossFields.length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Invalid request body", fields: crossFields });
     }
+    const { input, consent } = applyConsent(validated);
 
-    console.log("[BrickArt] File ready:", url);
-    return url;
-  }
-
-  try {
-    // --- 5) Parse body (tolerate stringified JSON) ---
-    const body =
-      typeof req.body === "string" ? JSON.parse(req.body) : req.body || {};
     const {
       nickname,
       category,
-      grid,
+      grid,             // 16 | 32 (normalised)
       baseplate,
       totalBricks,
-      brickCounts,      // { red: 10, blue: 5, ... }
-      brickCountsText,  // optional one-line string (for future use)
       timestamp,
       imageClean_b64,   // base64 with or without data: prefix
-      imageLogo_b64,
       submitterEmail,
-    } = body;
-
-    if (!timestamp || (!imageClean_b64 && !imageLogo_b64)) {
-      return res.status(400).json({
-        ok: false,
-        error: "Missing required fields (timestamp and image)",
-      });
-    }
+    } = input;
 
     console.log("[BrickArt] Submission received:", {
       nickname,
@@ -295,202 +96,129 @@ export default async function handler(req, res) {
       totalBricks,
       timestamp,
       cleanLen: imageClean_b64?.length || 0,
-      logoLen: imageLogo_b64?.length || 0,
       hasEmail: !!submitterEmail,
+      hasDesign: !!input.design,
+      under13: consent.under13,
     });
 
-    // --- 6) Upload images ---
-    const safeNameBase = `${String(timestamp)
-      .replace(/[:.Z\-]/g, "")}-${String(nickname || "anon")
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, "-")}`.replace(/-+/g, "-");
-
-    const cleanUrl = await uploadImageB64ToFiles(
-      imageClean_b64,
-      `${safeNameBase}-clean.png`,
-      "Brick Art design (clean)"
-    );
-    const logoUrl = await uploadImageB64ToFiles(
-      imageLogo_b64,
-      `${safeNameBase}-logo.png`,
-      "Brick Art design (watermarked)"
-    );
-
-    // --- 7) Build article HTML (includes brick color tally) ---
-    const escHTML = esc; // alias
-
-    const meta = [
-      grid ? `Grid: ${grid}` : "",
-      baseplate ? `Baseplate: ${baseplate}` : "",
-      typeof totalBricks === "number"
-        ? `Total Bricks: ${totalBricks}`
-        : "",
-    ]
-      .filter(Boolean)
-      .join(" · ");
+    // --- 4b) Idempotency: repeats get the original response back ---
+    // (before they cost a CAPTCHA check, a rate-limit slot or a Shopify lookup)
+    idemKey = idempotencyKey(req, {
+      timestamp,
+      nickname,
+      image: imageClean_b64,
+    });
+    const claimed = await claim(store, idemKey);
+    if (claimed.state === "replay") {
+      console.log("[BrickArt] Duplicate submission, replaying response");
+      res.setHeader("Idempotent-Replayed", "true");
+      // a queued original may have finished since
+      const queued = claimed.response?.queued
+        ? await getJob(store, claimed.response.jobId)
+        : null;
+      if (queued?.status === "done") return res.status(200).json(queued.result);
+      return res.status(claimed.response?.queued ? 202 : 200).json(claimed.response);
+    }
+    if (claimed.state === "in_progress") {
+      res.setHeader("Retry-After", "5");
+      return res.status(409).json({
+        ok: false,
+        error: "Submission already in progress",
+      });
+    }
+    // every refusal below gives the key back so a corrected retry can run
+    const refuse = async (status, body) => {
+      await release(store, idemKey);
+      return res.status(status).json(body);
+    };
 
-    // normalize brickCounts to a plain object
-    let countsObj = {};
+    // --- 4c) Clean image: decoded once (square, size-capped) for every step ---
+    let image;
     try {
-      if (brickCounts) {
-        countsObj =
-          typeof brickCounts === "string"
-            ? JSON.parse(brickCounts)
-            : brickCounts || {};
-      }
-    } catch {
-      countsObj = {};
+      image = mosaicImage(imageClean_b64);
+    } catch (err) {
+      return refuse(400, {
+        ok: false,
+        error: "Invalid request body",
+        fields: [{ field: "imageClean_b64", message: `is not a readable mosaic (${err.message})` }],
+      });
     }
 
-    const entries = Object.entries(countsObj)
-      .filter(([, n]) => Number(n) > 0)
-      .sort((a, b) => Number(b[1]) - Number(a[1])); // highest first
-
-    const countsHtml = entries.length
-      ? `
-        <div style="margin:8px 0 14px 0;">
-          <strong>Brick counts:</strong>
-          <ul style="margin:.35rem 0 0 0; padding-left:1.15rem; line-height:1.3;">
-            ${entries
-              .map(
-                ([color, n]) =>
-                  `<li>${escHTML(String(color))}: ${Number(n)}</li>`
-              )
-              .join("")}
-          </ul>
-        </div>
-      `.trim()
-      : "";
-
-    const body_html = `
-      <p><strong>Nickname:</strong> ${escHTML(nickname || "Anonymous")}</p>
-      ${meta ? `<p>${escHTML(meta)}</p>` : ""}
-      ${countsHtml}
-      ${
-        cleanUrl
-          ? `<p><img src="${cleanUrl}" alt="Brick Art design (clean)"/></p>`
-          : ""
-      }
-      ${
-        logoUrl
-          ? `<p><img src="${logoUrl}" alt="Brick Art design (watermarked)"/></p>`
-          : ""
-      }
-    `.trim();
-
-    // --- 7b) Tags for gallery filtering ---
-    const catTag   = category ? slug(category) : null;          // e.g. "space"
-    const sizeTag  =
-      grid && /\b32\b/.test(String(grid))
-        ? "32x32"
-        : grid && /\b16\b/.test(String(grid))
-        ? "16x16"
-        : grid
-        ? String(grid)
-        : null;
-    const plateTag = baseplate ? `plate-${slug(baseplate)}` : null; // e.g. "plate-blue-16x16"
-    const tags = [catTag, sizeTag, plateTag].filter(Boolean).join(", ");
-
-  // --- 8) Create blog article (hidden by default) ---
-const articlePayload = {
-  article: {
-    title: `Brick Art submission — ${nickname || "Anonymous"} (${new Date(
-      timestamp
-    ).toLocaleString()})`,
-    body_html,
-    tags,
-
-    // keep new submissions OFF the public gallery until you approve them
-    published: false,
-    published_at: null,
-  },
-};
-
-const ar = await shopifyREST(`/blogs/${BLOG_ID}/articles.json`, {
-  method: "POST",
-  body: JSON.stringify(articlePayload),
-});
-
-const articleText = await ar.text();
-let articleJson = {};
-try {
-  articleJson = articleText ? JSON.parse(articleText) : {};
-} catch {}
+    // --- 4d) Abuse protection: CAPTCHA (if configured) + rate limits ---
+    const limitEmail = validated.submitterEmail; // even when we won't store it
+    if (
+      !(await captchaOr403(req, res, input, clientIp(req))) ||
+      !(await rateLimitOr429(store, "submit", req, res, { email: limitEmail }))
+    ) {
+      await release(store, idemKey);
+      return;
+    }
 
-    if (!ar.ok) {
-      console.error(
-        "[BrickArt] Blog create FAILED",
-        ar.status,
-        articleJson?.errors || articleText?.slice(0, 300)
-      );
-      return res.status(500).json({
+    // --- 4e) Content screening: refuse the worst, flag the rest for review ---
+    const screening = await screenSubmission(input, { image });
+    if (screening.level === "reject") {
+      console.warn("[BrickArt] Submission rejected by screening", {
+        score: screening.score,
+        findings: screening.findings.map((f) => `${f.field}:${f.type}`),
+      });
+      return refuse(422, {
         ok: false,
-        error: "Failed to create blog post",
-        detail: articleJson?.errors || articleText,
-        cleanUrl,
-        logoUrl,
+        error: "Submission did not pass content screening",
+        fields: screeningErrors(screening),
       });
     }
 
-    const articleId  = articleJson?.article?.id;
-    const handle     = articleJson?.article?.handle;
-    const blogHandle = articleJson?.article?.blog?.handle;
-
-    // --- 8b) Save brick color tally in metafield ---
-    try {
-      if (articleId && countsObj && Object.keys(countsObj).length) {
-        await shopifyREST(`/articles/${articleId}/metafields.json`, {
-          method: "POST",
-          body: JSON.stringify({
-            metafield: {
-              namespace: "brickart",
-              key: "brick_counts",
-              type: "json",
-              value: JSON.stringify(countsObj),
-            },
-          }),
+    // --- 4f) Remix lineage: the parent must be a published gallery design ---
+    let parent = null;
+    if (input.parentArticleId) {
+      const env = shopifyEnv();
+      parent = await resolveParent(createShopify(env), env.BLOG_ID, input.parentArticleId);
+      if (!parent) {
+        return refuse(400, {
+          ok: false,
+          error: "Invalid request body",
+          fields: [{ field: "parentArticleId", message: "is not a published gallery design" }],
         });
-        console.log("[BrickArt] brick_counts metafield saved");
       }
-    } catch (mfErr) {
-      console.error("[BrickArt] brick_counts metafield error", mfErr);
     }
 
-    // --- 8c) Save submitter email in metafield ---
-    try {
-      if (articleId && submitterEmail) {
-        await shopifyREST(`/articles/${articleId}/metafields.json`, {
-          method: "POST",
-          body: JSON.stringify({
-            metafield: {
-              namespace: "brickart",
-              key: "submitter_email",
-              type: "single_line_text_field",
-              value: String(submitterEmail).trim(),
-            },
-          }),
-        });
-        console.log("[BrickArt] submitter_email metafield saved");
-      }
-    } catch (mfErr) {
-      console.error("[BrickArt] submitter_email metafield error", mfErr);
-    }
+    // --- 5) Persist as a job, then try to publish it right away ---
+    // decision emails go out in the submitter's language
+    const locale = pickLocale(input.locale, req.headers["accept-language"]);
+    const job = await enqueue(
+      store,
+      "submission",
+      prepareSubmission({ ...input, locale, consent, parent, screening }, idemKey, image)
+    );
+    const after = await runJob(store, job.id, JOB_HANDLERS);
 
-    const storefrontUrl =
-      handle && blogHandle
-        ? `https://${STORE}/blogs/${blogHandle}/${handle}`
-        : null;
+    if (after?.status === "done") {
+      await complete(store, idemKey, after.result);
+      return res.status(200).json(after.result);
+    }
+    // Shopify refused it outright; retrying the same request won't help
+    if (after?.status === "dead") {
+      await release(store, idemKey);
+      return res.status(502).json({
+        ok: false,
+        error: "Shopify rejected the submission",
+        jobId: job.id,
+        detail: after.errors?.at(-1)?.message,
+      });
+    }
 
-    return res.status(200).json({
+    const response = {
       ok: true,
-      articleId,
-      cleanUrl,
-      logoUrl,
-      storefrontUrl,
-      emailSaved: !!submitterEmail,
-    });
+      queued: true,
+      jobId: job.id,
+      status: after?.status || "queued",
+      detail: after?.errors?.at(-1)?.message,
+    };
+    await complete(store, idemKey, response);
+    return res.status(202).json(response);
   } catch (err) {
     console.error("[BrickArt] Submit server error:", err);
+    if (idemKey) await release(store, idemKey);
     return res.status(500).json({
       ok: false,
       error: "Server error",
@@ -0,0 +1,71 @@
+// /api/unsubscribe.js — unsubscribe links from Brick Art emails
+//
+//   GET  /api/unsubscribe?token=…             → confirmation page (link
+//                                               scanners must not unsubscribe)
+//   POST /api/unsubscribe?token=…[&scope=all] → unsubscribe; also the RFC 8058
+//                                               one-click target of
+//                                               List-Unsubscribe-Post
+//
+// scope "marketing" (default) keeps design emails the user asks for but
+// drops the Challenge / promo content; "all" stops every email.
+
+import { esc } from "./_lib/http.js";
+import { getStore } from "./_lib/store.js";
+import { SCOPES, suppress, verifyUnsubscribeToken } from "./_lib/suppression.js";
+
+function page(res, status, body) {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  return res
+    .status(status)
+    .send(
+      `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>Brick Art emails</title></head><body style="font-family:sans-serif;max-width:32rem;margin:3rem auto;padding:0 1rem;">${body}</body></html>`
+    );
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method Not Allowed" });
+  }
+
+  const { token, scope = "marketing" } = req.query || {};
+  const email = verifyUnsubscribeToken(token);
+  if (!email) {
+    return page(res, 400, "<p>This unsubscribe link is invalid or has expired.</p>");
+  }
+  if (!SCOPES.includes(scope)) {
+    return page(res, 400, "<p>Unknown unsubscribe option.</p>");
+  }
+
+  const action = (s) => `?token=${encodeURIComponent(token)}&scope=${s}`;
+  if (req.method === "GET") {
+    return page(
+      res,
+      200,
+      `<h1>Brick Art emails</h1>
+      <p>Emails to <strong>${esc(email)}</strong>:</p>
+      <form method="post" action="${action("marketing")}">
+        <button type="submit">Stop Challenge and promotional emails</button>
+      </form>
+      <p>You'll still get the design emails you ask for.</p>
+      <form method="post" action="${action("all")}">
+        <button type="submit">Stop all Brick Art emails</button>
+      </form>`
+    );
+  }
+
+  try {
+    await suppress(getStore(), email, scope, "unsubscribe");
+    console.log("[BrickArt] Unsubscribed:", scope);
+  } catch (err) {
+    console.error("[BrickArt] /api/unsubscribe error:", err);
+    return page(res, 500, "<p>Something went wrong, please try again later.</p>");
+  }
+  return page(
+    res,
+    200,
+    scope === "all"
+      ? "<p>You're unsubscribed. We won't email you again.</p>"
+      : "<p>You're unsubscribed from Challenge and promotional emails.</p>"
+  );
+}
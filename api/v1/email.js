@@ -0,0 +1,11 @@
+// /api/v1/email.js — email a design to the user via SendGrid
+//
+//   POST /api/v1/email { kind?, email, imageBase64, nickname?, grid | whichGrid?,
+//                        baseplate?, category?, totalBricks?, brickCounts?, locale? }
+//
+// kind: "design" (default; build guide + parts lists attached) | "image"
+// See api/_lib/designmail.js.
+
+import { emailHandler } from "../_lib/designmail.js";
+
+export default emailHandler();
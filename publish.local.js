@@ -4,7 +4,8 @@
 // This is the Express server that Vercel (or localhost) will run.
 // It receives form submissions from your Mosaic app / Mechanic,
 // uploads the two images to Shopify as Files (via GraphQL),
-// then creates a blog post via Shopify REST Admin API.
+// then creates a blog post via Shopify REST Admin API — unpublished, like
+// api/submit.js, so it waits in the moderation queue.
 //
 // IMPORTANT:
 // - No secrets are hardcoded. All secrets are read from process.env.
@@ -23,6 +24,10 @@
 import express from "express";
 import axios from "axios";
 import bodyParser from "body-parser";
+import { esc } from "./api/_lib/http.js";
+import { submissionSchema, validateOr400 } from "./api/_lib/schema.js";
+import { ShopifyError, createShopify } from "./api/_lib/shopify.js";
+import { watermarkB64 } from "./api/_lib/watermark.js";
 
 
 const app = express();
@@ -45,96 +50,36 @@ requireEnv("SHOPIFY_STORE_DOMAIN", SHOPIFY_STORE_DOMAIN);
 requireEnv("SHOPIFY_ADMIN_API_TOKEN", SHOPIFY_ADMIN_API_TOKEN);
 requireEnv("BLOG_ID", BLOG_ID);
 
+const shopify = createShopify({
+  STORE: SHOPIFY_STORE_DOMAIN,
+  TOKEN: SHOPIFY_ADMIN_API_TOKEN,
+  API_VERSION: process.env.SHOPIFY_API_VERSION,
+  ADMIN_URL: process.env.SHOPIFY_ADMIN_URL,
+});
+
 // -------------------------------------------------------
-// helper: upload the two images to Shopify Files via GraphQL
+// helper: upload the clean image and its server-rendered watermarked copy to
+// Shopify Files (staged uploads, same client as api/submit.js)
 // returns { cleanUrl, logoUrl }
-async function uploadImagesToShopify({ imageClean_b64, imageLogo_b64, nickname }) {
-  // Shopify GraphQL Admin endpoint
-  const graphqlEndpoint = `https://${SHOPIFY_STORE_DOMAIN}/admin/api/2024-07/graphql.json`;
-
-  // strip "data:image/png;base64," etc if present
-  function stripPrefix(b64) {
-    if (!b64) return "";
-    const commaIndex = b64.indexOf(",");
-    return commaIndex !== -1 ? b64.slice(commaIndex + 1) : b64;
-  }
-
-  const cleanBytes = stripPrefix(imageClean_b64);
-  const logoBytes = stripPrefix(imageLogo_b64);
-
+async function uploadImagesToShopify({ imageClean_b64, grid, nickname }) {
   // filenames to show in Files
   const timestamp = Date.now();
   const safeNick = nickname ? nickname.replace(/[^a-z0-9_-]/gi, "_") : "mosaic";
-  const fnameClean = `${safeNick}_${timestamp}_clean.png`;
-  const fnameLogo = `${safeNick}_${timestamp}_logo.png`;
-
-  // GraphQL mutation body
-  const gqlBody = {
-    query: `
-      mutation fileCreate(
-        $cleanBytes: Base64!,
-        $logoBytes: Base64!,
-        $fnameClean: String!,
-        $fnameLogo: String!
-      ) {
-        clean: fileCreate(
-          files: [
-            {
-              alt: "Brick Art clean mosaic",
-              contentType: IMAGE,
-              filename: $fnameClean,
-              originalSource: $cleanBytes
-            }
-          ]
-        ) {
-          files { url }
-          userErrors { field message }
-        }
-
-        logo: fileCreate(
-          files: [
-            {
-              alt: "Brick Art logo mosaic",
-              contentType: IMAGE,
-              filename: $fnameLogo,
-              originalSource: $logoBytes
-            }
-          ]
-        ) {
-          files { url }
-          userErrors { field message }
-        }
-      }
-    `,
-    variables: {
-      cleanBytes,
-      logoBytes,
-      fnameClean,
-      fnameLogo,
-    },
-  };
-
-  const gqlResp = await fetch(graphqlEndpoint, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": SHOPIFY_ADMIN_API_TOKEN,
-    },
-    body: JSON.stringify(gqlBody),
-  });
-
-  if (!gqlResp.ok) {
-    const text = await gqlResp.text();
-    throw new Error(`Shopify GraphQL upload failed (${gqlResp.status}): ${text}`);
-  }
-
-  const gqlJson = await gqlResp.json();
 
-  // pull URLs if available
   const cleanUrl =
-    gqlJson?.data?.clean?.files?.[0]?.url || "";
+    (await shopify.uploadB64ToFiles(
+      imageClean_b64,
+      `${safeNick}_${timestamp}_clean.png`,
+      "Brick Art clean mosaic"
+    )) || "";
+  const logoPng = watermarkB64(imageClean_b64, grid);
   const logoUrl =
-    gqlJson?.data?.logo?.files?.[0]?.url || "";
+    (logoPng &&
+      (await shopify.uploadB64ToFiles(
+        logoPng.toString("base64"),
+        `${safeNick}_${timestamp}_logo.png`,
+        "Brick Art logo mosaic"
+      ))) || "";
 
   return { cleanUrl, logoUrl };
 }
@@ -157,17 +102,17 @@ function buildArticleHTML({
     ? Object.entries(brickCounts)
         .map(
           ([color, count]) =>
-            `<li>${color.replace(/(^|\s)\S/g, s => s.toUpperCase())} – ${count}</li>`
+            `<li>${esc(color.replace(/(^|\s)\S/g, s => s.toUpperCase()))} – ${Number(count)}</li>`
         )
         .join("")
     : "";
 
   return `
-    <p><strong>Artist:</strong> ${nickname || "Unknown Artist"}</p>
-    <p><strong>Category:</strong> ${category || "Uncategorized"}</p>
-    <p><strong>Grid Size:</strong> ${grid || "Unknown"}</p>
-    <p><strong>Baseplate:</strong> ${baseplate || "Unknown"}</p>
-    <p><strong>Total Bricks:</strong> ${totalBricks || "Unknown"}</p>
+    <p><strong>Artist:</strong> ${esc(nickname || "Unknown Artist")}</p>
+    <p><strong>Category:</strong> ${esc(category || "Uncategorized")}</p>
+    <p><strong>Grid Size:</strong> ${esc(grid || "Unknown")}</p>
+    <p><strong>Baseplate:</strong> ${esc(baseplate || "Unknown")}</p>
+    <p><strong>Total Bricks:</strong> ${esc(totalBricks || "Unknown")}</p>
 
     ${
       brickList
@@ -178,57 +123,53 @@ function buildArticleHTML({
     ${
       cleanUrl
         ? `<p><strong>Original Mosaic:</strong></p>
-           <p><img src="${cleanUrl}" alt="Original mosaic by ${nickname ||
-            "artist"}" style="max-width:100%; height:auto;" /></p>`
+           <p><img src="${esc(cleanUrl)}" alt="Original mosaic by ${esc(nickname ||
+            "artist")}" style="max-width:100%; height:auto;" /></p>`
         : ""
     }
 
     ${
       logoUrl
         ? `<p><strong>Branded Mosaic:</strong></p>
-           <p><img src="${logoUrl}" alt="Branded mosaic by ${nickname ||
-            "artist"}" style="max-width:100%; height:auto;" /></p>`
+           <p><img src="${esc(logoUrl)}" alt="Branded mosaic by ${esc(nickname ||
+            "artist")}" style="max-width:100%; height:auto;" /></p>`
         : ""
     }
   `;
 }
 
 // -------------------------------------------------------
-// helper: create the Shopify blog article (REST Admin API)
+// helper: create the Shopify blog article (REST Admin API) as a draft
 async function createShopifyArticle({ title, html, tags }) {
-  const restEndpoint = `https://${SHOPIFY_STORE_DOMAIN}/admin/api/2024-07/blogs/${BLOG_ID}/articles.json`;
-
-  const body = {
-    article: {
-      title,
-      body_html: html,
-      tags,
-      published: true,
-    },
-  };
-
-  const resp = await fetch(restEndpoint, {
+  const resp = await shopify.rest(`/blogs/${BLOG_ID}/articles.json`, {
     method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": SHOPIFY_ADMIN_API_TOKEN,
-    },
-    body: JSON.stringify(body),
+    body: JSON.stringify({
+      article: {
+        title,
+        body_html: html,
+        tags,
+        // drafts until a moderator approves them (api/moderation.js)
+        published: false,
+        published_at: null,
+      },
+    }),
   });
 
   if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Create article failed (${resp.status}): ${text}`);
+    throw new ShopifyError("createArticle", { status: resp.status, errors: resp.data });
   }
 
-  return await resp.json();
+  return resp.data;
 }
 
 // -------------------------------------------------------
 // POST /submit  (this is what Mechanic / ngrok / etc will call)
 app.post("/submit", async (req, res) => {
   try {
-    // pull data from request body
+    // pull + validate data from request body (same schema as api/submit.js)
+    const input = validateOr400(submissionSchema, req.body, res);
+    if (!input) return;
+
     const {
       nickname,
       category,
@@ -236,15 +177,14 @@ app.post("/submit", async (req, res) => {
       baseplate,
       totalBricks,
       brickCounts,
-      imageClean, // base64 (dataURL string)
-      imageLogo,  // base64 (dataURL string)
+      imageClean_b64: imageClean, // base64 (dataURL string)
       timestamp,
-    } = req.body || {};
+    } = input;
 
     // 1. upload both images to Shopify Files
     const { cleanUrl, logoUrl } = await uploadImagesToShopify({
       imageClean_b64: imageClean,
-      imageLogo_b64: imageLogo,
+      grid,
       nickname,
     });
 
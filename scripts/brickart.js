@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+// scripts/brickart.js — admin CLI for the publisher.
+//
+//   brickart submissions list [--status pending|published|any] [--email a@b.c] [--limit 50]
+//   brickart submissions show <articleId>
+//   brickart submissions approve <articleId> [--note …] [--moderator …] [--no-notify]
+//   brickart submissions reject <articleId> [--note …] [--moderator …] [--no-notify]
+//   brickart submissions resend-email <articleId> [--kind design|image]
+//   brickart submissions purge <articleId>
+//   brickart submissions purge --email a@b.c
+//   brickart files orphans [--min-age 24] [--delete]
+//
+// Every command prints one JSON document ({ ok, … }) on stdout and exits
+// non-zero on failure; logs go to stderr. --dry-run reports what a command
+// would change without changing it. Reads the same env as the API (plus
+// SENDGRID_API_KEY for resend-email, KV_REST_API_* for the shared store;
+// without it, files orphans can't see the Files held by unfinished jobs).
+
+import { parseArgs } from "node:util";
+
+import { createShopify, shopifyEnv } from "../api/_lib/shopify.js";
+import { getStore } from "../api/_lib/store.js";
+import {
+  approveSubmission,
+  deleteFiles,
+  deleteSubmission,
+  getArticle,
+  getArticleMetafields,
+  getSubmission,
+  listSubmissions,
+  rejectSubmission,
+} from "../api/_lib/moderation.js";
+import { eraseSubmitterData } from "../api/_lib/privacy.js";
+import { findOrphanFiles } from "../api/_lib/files.js";
+import { invalidateGallery } from "../api/_lib/gallery.js";
+import { eventsKey } from "../api/_lib/emailevents.js";
+import { forgetHashes } from "../api/_lib/phash.js";
+import { EMAIL_KINDS, sendDesignEmail } from "../api/_lib/designmail.js";
+import { apiBaseUrl, getSuppression } from "../api/_lib/suppression.js";
+
+// stdout is reserved for the JSON result
+console.log = console.info = console.error;
+
+const STATUS_FILTERS = { pending: "unpublished", published: "published", any: "any" };
+
+class UsageError extends Error {}
+
+function finish(result, code = 0) {
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`, () => process.exit(code));
+}
+
+const articleIdArg = (positionals) => {
+  const id = positionals[2];
+  if (!/^\d+$/.test(String(id || ""))) throw new UsageError("Expected a numeric <articleId>");
+  return id;
+};
+
+const sameEmail = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+async function list(shop, env, { values }) {
+  const status = STATUS_FILTERS[values.status || "pending"];
+  if (!status) {
+    throw new UsageError(`--status must be one of ${Object.keys(STATUS_FILTERS).join(", ")}`);
+  }
+  const limit = Math.max(Number(values.limit) || 50, 1);
+  const submissions = [];
+  let pageInfo = null;
+  do {
+    const page = await listSubmissions(shop, env.BLOG_ID, { status, limit: 250, pageInfo });
+    for (const s of page.submissions) {
+      if (values.email && !sameEmail(s.submitterEmail, values.email)) continue;
+      submissions.push(s);
+    }
+    pageInfo = page.nextPageInfo;
+  } while (pageInfo && submissions.length < limit);
+  return { ok: true, submissions: submissions.slice(0, limit) };
+}
+
+async function show(shop, env, { positionals }) {
+  const submission = await getSubmission(shop, env.BLOG_ID, articleIdArg(positionals));
+  if (!submission) return { ok: false, error: "Not found" };
+  return { ok: true, submission };
+}
+
+function decide(run, action) {
+  return async (shop, env, { positionals, values }) => {
+    const articleId = articleIdArg(positionals);
+    if (values["dry-run"]) {
+      const submission = await getSubmission(shop, env.BLOG_ID, articleId);
+      if (!submission) return { ok: false, error: "Not found" };
+      return {
+        ok: true,
+        dryRun: true,
+        action,
+        notify: !values["no-notify"] && !!submission.submitterEmail,
+        submission,
+      };
+    }
+    const submission = await run(shop, env.BLOG_ID, articleId, {
+      note: values.note,
+      moderator: values.moderator || process.env.USER || "cli",
+      notify: !values["no-notify"],
+    });
+    if (!submission) return { ok: false, error: "Not found" };
+    await invalidateGallery(getStore(), [articleId]);
+    return { ok: true, action, submission };
+  };
+}
+
+// The marketing kind only goes to submitters who opted in (never under-13s)
+// and only with an unsubscribe link; without --kind the others get "image".
+async function resendEmail(shop, env, { positionals, values }) {
+  const articleId = articleIdArg(positionals);
+  if (values.kind && !EMAIL_KINDS[values.kind]) {
+    throw new UsageError(`--kind must be one of ${Object.keys(EMAIL_KINDS).join(", ")}`);
+  }
+  const article = await getArticle(shop, env.BLOG_ID, articleId);
+  if (!article) return { ok: false, error: "Not found" };
+  const mf = await getArticleMetafields(shop, articleId);
+  if (!mf.submitter_email) return { ok: false, error: "No submitter email stored" };
+  const marketingConsent = mf.consent?.marketing === true && mf.consent?.under13 !== true;
+  const kind = values.kind || (marketingConsent ? "design" : "image");
+  if (EMAIL_KINDS[kind].marketing) {
+    if (!marketingConsent) {
+      return { ok: false, error: "Submitter has not consented to marketing email", kind };
+    }
+    if (!apiBaseUrl()) {
+      return {
+        ok: false,
+        error: "API_BASE_URL is not set; marketing email needs an unsubscribe link",
+      };
+    }
+  }
+  const cleanUrl = mf.images?.clean;
+  if (!cleanUrl) return { ok: false, error: "No clean image stored" };
+
+  const suppression = await getSuppression(getStore(), mf.submitter_email);
+  if (suppression?.scope === "all") {
+    return { ok: false, error: "Recipient has unsubscribed from all email", suppression };
+  }
+  if (values["dry-run"]) {
+    return { ok: true, dryRun: true, kind, to: mf.submitter_email, suppression };
+  }
+  if (!process.env.SENDGRID_API_KEY) {
+    return { ok: false, error: "SENDGRID_API_KEY is not set" };
+  }
+
+  const r = await fetch(cleanUrl);
+  if (!r.ok) return { ok: false, error: `Clean image fetch failed (${r.status})` };
+  const imageBase64 = Buffer.from(await r.arrayBuffer()).toString("base64");
+  const emailId = await sendDesignEmail(
+    {
+      email: mf.submitter_email,
+      nickname: mf.nickname,
+      grid: mf.grid != null ? Number(mf.grid) : undefined,
+      baseplate: mf.baseplate,
+      category: mf.category,
+      totalBricks: mf.total_bricks != null ? Number(mf.total_bricks) : undefined,
+      brickCounts: mf.brick_counts || {},
+      imageBase64,
+    },
+    kind,
+    { locale: mf.locale, suppression, baseUrl: apiBaseUrl() }
+  );
+  return { ok: true, kind, to: mf.submitter_email, emailId };
+}
+
+async function purge(shop, env, { positionals, values }) {
+  const store = getStore();
+  const dryRun = !!values["dry-run"];
+  if (values.email) {
+    // this process may not share the API's store, so walk the blog as well
+    const result = await eraseSubmitterData(shop, env.BLOG_ID, store, values.email, {
+      dryRun,
+      scan: true,
+    });
+    if (!dryRun && result.articles.length) {
+      await invalidateGallery(store, result.articles.map((a) => a.articleId));
+    }
+    return { ok: true, ...result };
+  }
+
+  const articleId = articleIdArg(positionals);
+  const article = await getArticle(shop, env.BLOG_ID, articleId);
+  if (!article) return { ok: false, error: "Not found" };
+  const entry = { articleId: article.id, title: article.title, deletedFileIds: [] };
+  if (!dryRun) {
+    const mf = await getArticleMetafields(shop, articleId);
+    entry.deletedFileIds = await deleteSubmission(shop, env.BLOG_ID, article, mf);
+    await store.del(eventsKey(articleId));
+    await forgetHashes(store, [articleId]);
+    await invalidateGallery(store, [articleId]);
+  }
+  return { ok: true, articles: [entry], dryRun };
+}
+
+async function orphans(shop, env, { values }) {
+  const minAgeHours = values["min-age"] != null ? Number(values["min-age"]) : 24;
+  if (!Number.isFinite(minAgeHours) || minAgeHours < 0) {
+    throw new UsageError("--min-age must be a number of hours");
+  }
+  const files = await findOrphanFiles(shop, env.BLOG_ID, getStore(), { minAgeHours });
+  const remove = values.delete && !values["dry-run"];
+  const deletedFileIds = remove ? await deleteFiles(shop, files.map((f) => f.id)) : [];
+  return { ok: true, orphans: files, deletedFileIds, dryRun: !!values["dry-run"] };
+}
+
+const COMMANDS = {
+  "submissions list": list,
+  "submissions show": show,
+  "submissions approve": decide(approveSubmission, "approve"),
+  "submissions reject": decide(rejectSubmission, "reject"),
+  "submissions resend-email": resendEmail,
+  "submissions purge": purge,
+  "files orphans": orphans,
+};
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      status: { type: "string" },
+      email: { type: "string" },
+      limit: { type: "string" },
+      note: { type: "string" },
+      moderator: { type: "string" },
+      "no-notify": { type: "boolean" },
+      kind: { type: "string" },
+      "min-age": { type: "string" },
+      delete: { type: "boolean" },
+      "dry-run": { type: "boolean" },
+    },
+  });
+} catch (err) {
+  finish({ ok: false, error: err.message }, 2);
+}
+
+if (args) {
+  const command = COMMANDS[args.positionals.slice(0, 2).join(" ")];
+  const env = shopifyEnv();
+  if (!command) {
+    finish({ ok: false, error: "Unknown command", commands: Object.keys(COMMANDS) }, 2);
+  } else if (!env) {
+    finish({ ok: false, error: "Shopify env not configured" }, 1);
+  } else {
+    try {
+      const result = await command(createShopify(env), env, args);
+      finish(result, result.ok ? 0 : 1);
+    } catch (err) {
+      if (err instanceof UsageError) finish({ ok: false, error: err.message }, 2);
+      else finish({ ok: false, error: err?.message || String(err) }, 1);
+    }
+  }
+}
@@ -0,0 +1,33 @@
+// scripts/setup-shopify.js — one-off store setup for the publisher.
+//
+//   node scripts/setup-shopify.js               → brickart.* article metafield definitions
+//   node scripts/setup-shopify.js --metaobject  → …plus the brick_art_submission
+//                                                  metaobject definition
+//
+// Safe to re-run: existing definitions are reported as "exists". Reads the
+// same env as the API (SHOPIFY_STORE_DOMAIN, SHOPIFY_ADMIN_API_TOKEN, BLOG_ID).
+// The token also needs write_metafield_definitions, and for --metaobject
+// write_metaobject_definitions + write_metaobjects.
+
+import { createShopify, shopifyEnv } from "../api/_lib/shopify.js";
+import { ensureDefinitions, ensureMetaobjectDefinition } from "../api/_lib/metafields.js";
+
+const env = shopifyEnv();
+if (!env) {
+  console.error("[BrickArt] Setup aborted: Shopify env not configured");
+  process.exit(1);
+}
+const shop = createShopify(env);
+
+const definitions = await ensureDefinitions(shop);
+for (const d of definitions) {
+  console.log(`[BrickArt] brickart.${d.key}: ${d.status}`, d.errors ? JSON.stringify(d.errors) : "");
+}
+
+let failed = definitions.some((d) => d.status === "error");
+if (process.argv.includes("--metaobject")) {
+  const mo = await ensureMetaobjectDefinition(shop);
+  console.log(`[BrickArt] metaobject ${mo.type}: ${mo.status}`, mo.errors ? JSON.stringify(mo.errors) : "");
+  failed ||= mo.status === "error";
+}
+process.exit(failed ? 1 : 0);
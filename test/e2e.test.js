@@ -0,0 +1,1425 @@
+// test/e2e.test.js — every handler end-to-end against the local fake
+// Shopify + S3 + SendGrid server (test/fake/server.js).
+
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync, sign } from "node:crypto";
+
+import { startFake } from "./fake/server.js";
+import { invoke } from "./helpers/invoke.js";
+import { HALF_AND_HALF, mosaicPng, rawPng } from "./helpers/png.js";
+import { decodePng } from "../api/_lib/png.js";
+import { createImage, drawText } from "../api/_lib/raster.js";
+
+const fake = await startFake();
+
+Object.assign(process.env, {
+  SHOPIFY_STORE_DOMAIN: "test-store.myshopify.com",
+  SHOPIFY_ADMIN_API_TOKEN: "shpat_test",
+  SHOPIFY_ADMIN_URL: fake.url,
+  BLOG_ID: "1",
+  SENDGRID_API_KEY: "SG.test",
+  SENDGRID_API_URL: fake.url,
+  BCC_EMAIL: "archive@brick-art.com",
+  MODERATION_TOKEN: "mod-secret",
+  UNSUBSCRIBE_SECRET: "unsub-secret",
+  API_BASE_URL: "https://publisher.test",
+});
+
+// generous limits for the suite; the rate-limit tests tighten them
+const SUITE_LIMITS = JSON.stringify({
+  submit: { ip: 1000, email: 1000, global: 1000 },
+  email: { ip: 1000, email: 1000, global: 1000 },
+});
+process.env.RATE_LIMITS = SUITE_LIMITS;
+
+// handlers read env at import time
+const { default: submit } = await import("../api/submit.js");
+const { default: emailImage } = await import("../api/email-image.js");
+const { default: emailDesign } = await import("../api/email-design.js");
+const { default: moderation } = await import("../api/moderation.js");
+const { default: jobs } = await import("../api/jobs.js");
+const { default: partsList } = await import("../api/parts-list.js");
+const { default: gallery } = await import("../api/gallery.js");
+const { default: emailPreview } = await import("../api/email-preview.js");
+const { default: emailV1 } = await import("../api/v1/email.js");
+const { default: sendgridEvents } = await import("../api/sendgrid-events.js");
+const { default: unsubscribe } = await import("../api/unsubscribe.js");
+const { default: privacy } = await import("../api/privacy.js");
+const { default: design } = await import("../api/design.js");
+const { setCaptchaVerifier } = await import("../api/_lib/captcha.js");
+const { setScreen } = await import("../api/_lib/screening.js");
+
+if (!process.env.DEBUG) {
+  console.log = console.warn = console.error = () => {};
+}
+
+const PNG_B64 = HALF_AND_HALF.toString("base64");
+const ADMIN = { authorization: "Bearer mod-secret" };
+
+let seq = 0;
+const submission = (extra = {}) => ({
+  timestamp: new Date(Date.UTC(2025, 0, 1, 0, 0, seq++)).toISOString(),
+  nickname: "Test Builder",
+  category: "Space",
+  grid: "16",
+  baseplate: "Blue 16x16",
+  totalBricks: 256,
+  brickCounts: { red: 128, blue: 128 },
+  imageClean_b64: `data:image/png;base64,${PNG_B64}`,
+  submitterEmail: "kid@example.com",
+  consentGallery: true,
+  consentEmail: true,
+  ...extra,
+});
+
+// the design source for HALF_AND_HALF: left half red, right half blue
+const designDoc = (extra = {}) => ({
+  format: "brickart.design",
+  version: 1,
+  appVersion: "2.4.0",
+  width: 16,
+  height: 16,
+  baseplate: "blue",
+  palette: [
+    { name: "red", hex: "#C91A09" },
+    { name: "blue", hex: "#0055bf" },
+  ],
+  cells: Array.from({ length: 256 }, (_, i) => (i % 16 < 8 ? 0 : 1)),
+  ...extra,
+});
+
+const articles = () => [...fake.state.articles.values()];
+const metafieldsOf = (id) =>
+  Object.fromEntries((fake.state.metafields.get(id) || []).map((m) => [m.key, m.value]));
+
+after(() => fake.close());
+beforeEach(() => fake.reset());
+
+describe("POST /api/submit", () => {
+  it("uploads files and creates an unpublished article with metafields", async () => {
+    const res = await invoke(submit, { body: submission() });
+
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.equal(res.body.ok, true);
+    assert.match(res.body.cleanUrl, /-clean\.png/);
+
+    const [article] = articles();
+    assert.equal(article.id, res.body.articleId);
+    assert.equal(article.published_at, null);
+    assert.match(article.tags, /space, 16x16, plate-blue-16x16/);
+    assert.match(article.body_html, /Total Bricks: 256/);
+
+    const mf = metafieldsOf(article.id);
+    assert.deepEqual(JSON.parse(mf.brick_counts), { red: 128, blue: 128 });
+    assert.equal(mf.submitter_email, "kid@example.com");
+  });
+
+  it("renders thumbnail, web and social-card variants", async () => {
+    const res = await invoke(submit, { body: submission() });
+    assert.match(res.body.thumbUrl, /-thumb\.png/);
+    assert.match(res.body.webUrl, /-web\.png/);
+    assert.match(res.body.ogUrl, /-og\.png/);
+
+    const upload = (suffix) =>
+      decodePng([...fake.state.uploads.values()].find((u) => u.filename.endsWith(suffix)).bytes);
+    const og = upload("-og.png");
+    assert.deepEqual([og.width, og.height], [1200, 630]);
+    // nearest-neighbour: a clean red/blue split with no blended column
+    const web = upload("-web.png");
+    assert.deepEqual([...web.data.subarray(511 * 4, 511 * 4 + 3)], [...web.data.subarray(0, 3)]);
+    assert.notDeepEqual([...web.data.subarray(512 * 4, 512 * 4 + 3)], [...web.data.subarray(0, 3)]);
+
+    const [article] = articles();
+    assert.match(article.body_html, /srcset="[^"]+-thumb\.png[^"]* 256w/);
+    assert.equal(article.image.src, res.body.ogUrl);
+    const images = JSON.parse(metafieldsOf(article.id).images);
+    assert.equal(images.og, res.body.ogUrl);
+    assert.equal(images.clean, res.body.cleanUrl);
+  });
+
+  it("watermarks the clean image server-side and ignores a client logo image", async () => {
+    const res = await invoke(submit, {
+      body: submission({ imageLogo_b64: `data:image/png;base64,${PNG_B64}` }),
+    });
+    assert.match(res.body.logoUrl, /-logo\.png/);
+
+    const uploaded = [...fake.state.uploads.values()];
+    const logo = decodePng(uploaded.find((u) => u.filename.endsWith("-logo.png")).bytes);
+    const clean = decodePng(HALF_AND_HALF);
+    assert.deepEqual([logo.width, logo.height], [clean.width, clean.height]);
+    assert.notDeepEqual(logo.data, clean.data);
+    // only the clean image came from the client
+    assert.equal(uploaded.filter((u) => u.filename.endsWith("-logo.png")).length, 1);
+  });
+
+  it("writes typed metafields in a single metafieldsSet call", async () => {
+    const res = await invoke(submit, { body: submission() });
+    const restWrites = fake.state.requests.filter(
+      (r) => r.method === "POST" && r.path.endsWith("/metafields.json")
+    );
+    assert.equal(restWrites.length, 0);
+
+    const list = fake.state.metafields.get(res.body.articleId);
+    const byKey = Object.fromEntries(list.map((m) => [m.key, m]));
+    assert.equal(byKey.grid.type, "number_integer");
+    assert.equal(byKey.grid.value, "16");
+    assert.equal(byKey.total_bricks.value, "256");
+    assert.equal(byKey.nickname.value, "Test Builder");
+    assert.equal(byKey.category.value, "Space");
+    assert.equal(byKey.moderation_status.value, "pending");
+  });
+
+  it("returns field errors for an invalid body", async () => {
+    const res = await invoke(submit, {
+      body: { timestamp: "nope", grid: "24", submitterEmail: "x" },
+    });
+    assert.equal(res.statusCode, 400);
+    const fields = res.body.fields.map((f) => f.field);
+    assert.ok(fields.includes("timestamp"));
+    assert.ok(fields.includes("grid"));
+    assert.ok(fields.includes("submitterEmail"));
+    assert.equal(articles().length, 0);
+  });
+
+  it("refuses oversized, non-square and over-inflating images before decoding them", async () => {
+    const images = {
+      huge: rawPng(4096, 4096, Buffer.alloc(16)),
+      wide: rawPng(64, 32, Buffer.alloc(32 * 257)),
+      // 16×16 header, 8 MB of scanlines
+      bomb: rawPng(16, 16, Buffer.alloc(8 * 1024 * 1024)),
+    };
+    for (const [name, png] of Object.entries(images)) {
+      assert.throws(() => decodePng(png, { square: true }), /larger|square/, name);
+      const res = await invoke(submit, {
+        body: submission({ imageClean_b64: png.toString("base64") }),
+      });
+      assert.equal(res.statusCode, 400, name);
+      assert.equal(res.body.fields[0].field, "imageClean_b64");
+    }
+    assert.equal(articles().length, 0);
+    assert.equal(fake.state.uploads.size, 0);
+  });
+
+  it("replays the original response for a duplicate submission", async () => {
+    const body = submission();
+    const first = await invoke(submit, { body });
+    const again = await invoke(submit, { body });
+
+    assert.equal(again.statusCode, 200);
+    assert.equal(again.headers["idempotent-replayed"], "true");
+    assert.equal(again.body.articleId, first.body.articleId);
+    assert.equal(articles().length, 1);
+  });
+
+  it("flags brick counts that disagree with the image, correcting them with a palette", async () => {
+    const body = () => submission({ totalBricks: 10, brickCounts: { red: 10 } });
+    const flagged = await invoke(submit, { body: body() });
+    assert.equal(flagged.body.countsCorrected, false);
+    let mf = metafieldsOf(flagged.body.articleId);
+    assert.deepEqual(JSON.parse(mf.brick_counts), { red: 10 });
+    assert.equal(JSON.parse(mf.flags)[0].type, "brick_count_mismatch");
+
+    process.env.BRICK_PALETTE = JSON.stringify({ red: "#B40000", blue: "#1E5AA8" });
+    try {
+      const res = await invoke(submit, { body: body() });
+      assert.equal(res.body.countsCorrected, true);
+      mf = metafieldsOf(res.body.articleId);
+      assert.deepEqual(JSON.parse(mf.brick_counts), { red: 128, blue: 128 });
+      assert.equal(JSON.parse(mf.flags)[0].type, "brick_count_mismatch");
+    } finally {
+      delete process.env.BRICK_PALETTE;
+    }
+  });
+
+  it("waits for delayed file indexing", async () => {
+    fake.inject({ fileIndexDelay: 1 });
+    const res = await invoke(submit, { body: submission() });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.match(res.body.cleanUrl, /-clean\.png/);
+  });
+
+  it("queues the submission when S3 rejects the upload, then the worker finishes it", async () => {
+    fake.inject({ s3Status: 403 });
+    const res = await invoke(submit, { body: submission() });
+
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.queued, true);
+    assert.match(res.body.detail, /s3Upload/);
+    assert.equal(articles().length, 0);
+
+    // let the backoff elapse, then run the worker
+    const { getStore } = await import("../api/_lib/store.js");
+    const store = getStore();
+    const job = await store.get(`job:${res.body.jobId}`);
+    await store.set(`job:${job.id}`, { ...job, nextAttemptAt: 0 });
+
+    // checkpoints rewrite the small job record, never the payload
+    assert.equal(job.payload, undefined);
+    assert.equal(job.summary.nickname, "Test Builder");
+    const payload = await store.get(`jobpayload:${job.id}`);
+    assert.match(payload.imageClean_b64, /^data:image\/png;base64,/);
+
+    fake.inject({ s3Status: 0 });
+    const tick = await invoke(jobs, { method: "GET", headers: ADMIN, query: { run: "1" } });
+    assert.equal(tick.statusCode, 200);
+    assert.equal(tick.body.ran[0].status, "done");
+    assert.deepEqual(await store.get(`jobpayload:${job.id}`), { idemKey: payload.idemKey });
+    assert.equal(articles().length, 1);
+  });
+
+  it("never uploads a finished image again when a later upload fails", async () => {
+    fake.inject({ s3FailOn: 2 });
+    const res = await invoke(submit, { body: submission({ nickname: "Once" }) });
+    assert.equal(res.statusCode, 202);
+
+    const { getStore } = await import("../api/_lib/store.js");
+    const store = getStore();
+    const job = await store.get(`job:${res.body.jobId}`);
+    assert.match(job.checkpoints["images.clean"].url, /-clean\.png/);
+    assert.equal(job.checkpoints["images.logo"], undefined);
+    await store.set(`job:${job.id}`, { ...job, nextAttemptAt: 0 });
+
+    const tick = await invoke(jobs, { method: "GET", headers: ADMIN, query: { run: "1" } });
+    assert.equal(tick.body.ran[0].status, "done");
+    const names = fake.state.files.map((f) => f.filename);
+    assert.equal(names.filter((n) => /once-clean\.png$/.test(n)).length, 1);
+    assert.equal(names.filter((n) => /once-logo\.png$/.test(n)).length, 1);
+    assert.equal(articles().length, 1);
+  });
+
+  it("surfaces Shopify userErrors from stagedUploadsCreate without retrying them", async () => {
+    fake.inject({ stagedUserErrors: [{ field: ["input"], message: "Invalid mime type" }] });
+    const res = await invoke(submit, { body: submission() });
+    assert.equal(res.statusCode, 502);
+    assert.match(res.body.detail, /stagedUploadsCreate/);
+    assert.match(res.body.detail, /Invalid mime type/);
+
+    const { getStore } = await import("../api/_lib/store.js");
+    const job = await getStore().get(`job:${res.body.jobId}`);
+    assert.equal(job.status, "dead");
+    assert.equal(job.attempts, 1);
+  });
+});
+
+describe("POST /api/email-image", () => {
+  it("sends the design with build guide and parts lists attached", async () => {
+    const res = await invoke(emailImage, {
+      body: {
+        email: "kid@example.com",
+        nickname: "Test Builder",
+        grid: 16,
+        totalBricks: 256,
+        brickCounts: { red: 128, blue: 128 },
+        imageBase64: PNG_B64,
+      },
+    });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+
+    const [mail] = fake.state.mails;
+    assert.equal(mail.personalizations[0].to[0].email, "kid@example.com");
+    const types = mail.attachments.map((a) => a.type);
+    assert.deepEqual(types, ["image/png", "application/pdf", "text/csv", "application/xml"]);
+  });
+
+  it("renders the email in the Accept-Language locale", async () => {
+    const res = await invoke(emailImage, {
+      headers: { "accept-language": "fr-FR, es-MX;q=0.8, en;q=0.5" },
+      body: { email: "kid@example.com", grid: 16, brickCounts: { red: 1 }, imageBase64: PNG_B64 },
+    });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    const [mail] = fake.state.mails;
+    assert.equal(mail.subject, "Tu diseño de mosaico Brick Art");
+    assert.match(mail.content[0].value, /Piezas por color:\n- red: 1/);
+    assert.match(mail.content[1].value, /#BrickArtChallenge/);
+  });
+
+  it("reports SendGrid failures", async () => {
+    fake.inject({ sendgridStatus: 401 });
+    const res = await invoke(emailImage, {
+      body: { email: "kid@example.com", imageBase64: PNG_B64 },
+    });
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, "SendGrid error");
+  });
+});
+
+describe("POST /api/email-design", () => {
+  it("accepts whichGrid and BCCs the archive address", async () => {
+    const res = await invoke(emailDesign, {
+      body: { email: "kid@example.com", whichGrid: "32", baseplate: "Green", imageBase64: PNG_B64 },
+    });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    const [mail] = fake.state.mails;
+    assert.equal(mail.personalizations[0].bcc[0].email, "archive@brick-art.com");
+    assert.match(mail.attachments[0].filename, /32x32/);
+  });
+});
+
+describe("POST /api/v1/email", () => {
+  it("accepts either payload shape and picks the template by kind", async () => {
+    const res = await invoke(emailV1, {
+      body: {
+        kind: "image",
+        email: "kid@example.com",
+        whichGrid: "32",
+        category: "Space",
+        brickCounts: { red: 1 },
+        imageBase64: PNG_B64,
+      },
+    });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    const [mail] = fake.state.mails;
+    assert.equal(mail.personalizations[0].bcc[0].email, "archive@brick-art.com");
+    assert.match(mail.content[0].value, /^Here is the PNG image/);
+    assert.match(mail.content[0].value, /Category: Space\nGrid: 32x32/);
+    assert.equal(mail.attachments.length, 1);
+
+    const full = await invoke(emailV1, {
+      body: { email: "kid@example.com", grid: 16, brickCounts: { red: 1 }, imageBase64: PNG_B64 },
+    });
+    assert.equal(full.body.kind, "design");
+    assert.equal(fake.state.mails[1].attachments.length, 4);
+  });
+
+  it("rejects an unknown kind", async () => {
+    const res = await invoke(emailV1, {
+      body: { kind: "poster", email: "kid@example.com", imageBase64: PNG_B64 },
+    });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.fields[0].field, "kind");
+  });
+});
+
+describe("unsubscribe", () => {
+  const design = (email) => invoke(emailV1, { body: { email, imageBase64: PNG_B64 } });
+
+  it("drops marketing content after a one-click unsubscribe, then blocks on 'all'", async () => {
+    await design("unsub@example.com");
+    const [first] = fake.state.mails;
+    assert.equal(first.headers["List-Unsubscribe-Post"], "List-Unsubscribe=One-Click");
+    assert.match(first.content[1].value, /#BrickArtChallenge/);
+    const url = first.headers["List-Unsubscribe"].slice(1, -1);
+    assert.ok(url.startsWith("https://publisher.test/api/unsubscribe?token="));
+    const token = new URL(url).searchParams.get("token");
+
+    const confirm = await invoke(unsubscribe, { method: "GET", query: { token } });
+    assert.equal(confirm.statusCode, 200);
+    assert.match(confirm.body, /unsub@example\.com/);
+
+    const oneClick = await invoke(unsubscribe, {
+      query: { token },
+      body: "List-Unsubscribe=One-Click",
+    });
+    assert.equal(oneClick.statusCode, 200);
+
+    const second = await design("unsub@example.com");
+    assert.equal(second.statusCode, 200);
+    const mail = fake.state.mails[1];
+    assert.doesNotMatch(mail.content[1].value, /#BrickArtChallenge/);
+    assert.equal(mail.headers, undefined);
+    assert.equal(mail.attachments[0].type, "image/png");
+
+    await invoke(unsubscribe, { query: { token, scope: "all" } });
+    const blocked = await design("unsub@example.com");
+    assert.equal(blocked.statusCode, 409);
+    assert.equal(fake.state.mails.length, 2);
+  });
+
+  it("leaves out marketing content when no unsubscribe link can be built", async () => {
+    const secret = process.env.UNSUBSCRIBE_SECRET;
+    delete process.env.UNSUBSCRIBE_SECRET;
+    try {
+      const res = await design("nolink@example.com");
+      assert.equal(res.statusCode, 200);
+    } finally {
+      process.env.UNSUBSCRIBE_SECRET = secret;
+    }
+    const [mail] = fake.state.mails;
+    assert.doesNotMatch(mail.content[1].value, /#BrickArtChallenge/);
+    assert.doesNotMatch(mail.content[0].value, /unsubscribe/i);
+    assert.equal(mail.headers, undefined);
+  });
+
+  it("rejects forged tokens", async () => {
+    const token = `${Buffer.from("victim@example.com").toString("base64url")}.forged`;
+    const res = await invoke(unsubscribe, { query: { token } });
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe("GET /api/email-preview", () => {
+  it("renders templates with sample data per locale", async () => {
+    const index = await invoke(emailPreview, { method: "GET" });
+    assert.ok(index.body.templates.includes("design"));
+
+    const html = await invoke(emailPreview, {
+      method: "GET",
+      query: { template: "rejected", locale: "es" },
+    });
+    assert.equal(html.statusCode, 200);
+    assert.match(html.body, /Nota de nuestro equipo/);
+
+    const text = await invoke(emailPreview, {
+      method: "GET",
+      query: { template: "design", format: "text" },
+    });
+    assert.match(text.body, /^Subject: Your Brick Art mosaic design\n/);
+    assert.match(text.body, /Brick counts:\n- blue: 512/);
+  });
+
+  it("never reflects or resolves a raw locale", async () => {
+    const xss = await invoke(emailPreview, {
+      method: "GET",
+      query: { template: "design", locale: '"><script>alert(1)</script>' },
+    });
+    assert.equal(xss.statusCode, 200);
+    assert.doesNotMatch(xss.body, /<script>/);
+    assert.match(xss.body, /<html lang="en">/);
+
+    // a template outside api/_lib/emails must not be readable
+    const { mkdtempSync, writeFileSync } = await import("node:fs");
+    const { tmpdir } = await import("node:os");
+    const { join, relative } = await import("node:path");
+    const { fileURLToPath } = await import("node:url");
+    const dir = mkdtempSync(join(tmpdir(), "brickart-"));
+    writeFileSync(join(dir, "approved.txt"), "Subject: LEAKED\nsecret\n");
+    writeFileSync(join(dir, "approved.html"), "<p>secret</p>");
+    const emails = fileURLToPath(new URL("../api/_lib/emails/", import.meta.url));
+    const { renderEmail } = await import("../api/_lib/templates.js");
+    const email = renderEmail("approved", {}, relative(emails, dir));
+    assert.doesNotMatch(email.subject, /LEAKED/);
+
+    const traversal = await invoke(emailPreview, {
+      method: "GET",
+      query: { template: "approved", locale: relative(emails, dir), format: "text" },
+    });
+    assert.doesNotMatch(traversal.body, /LEAKED/);
+  });
+});
+
+describe("/api/moderation", () => {
+  it("rejects callers without the moderation token", async () => {
+    const res = await invoke(moderation, { method: "GET" });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("validates the decision body", async () => {
+    for (const articleId of ["12/../../orders", "abc", 0]) {
+      const res = await invoke(moderation, {
+        headers: ADMIN,
+        body: { articleId, action: "approve" },
+      });
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.fields[0].field, "articleId");
+    }
+    const action = await invoke(moderation, {
+      headers: ADMIN,
+      body: { articleId: 1, action: "publish" },
+    });
+    assert.equal(action.statusCode, 400);
+    assert.equal(action.body.fields[0].field, "action");
+
+    const query = await invoke(moderation, {
+      method: "GET",
+      headers: ADMIN,
+      query: { articleId: "1/../../orders" },
+    });
+    assert.equal(query.statusCode, 400);
+    assert.ok(!fake.state.requests.some((r) => /orders/.test(r.path)));
+  });
+
+  it("lists pending submissions and approves one", async () => {
+    const sub = await invoke(submit, { body: submission() });
+    const list = await invoke(moderation, { method: "GET", headers: ADMIN });
+    assert.equal(list.body.submissions.length, 1);
+    assert.equal(list.body.submissions[0].submitterEmail, "kid@example.com");
+
+    const res = await invoke(moderation, {
+      headers: ADMIN,
+      body: { articleId: sub.body.articleId, action: "approve", moderator: "sam" },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.submission.notified, "sent");
+    assert.ok(fake.state.articles.get(sub.body.articleId).published_at);
+    assert.match(fake.state.mails[0].subject, /live in the gallery/);
+
+    // a second approval must not email again
+    const again = await invoke(moderation, {
+      headers: ADMIN,
+      body: { articleId: sub.body.articleId, action: "approve" },
+    });
+    assert.equal(again.body.submission.notified, "already_sent");
+    assert.equal(fake.state.mails.length, 1);
+  });
+
+  it("rejects a submission, deleting its article and files", async () => {
+    const sub = await invoke(submit, { body: submission() });
+    assert.ok(fake.state.files.length > 0);
+
+    const res = await invoke(moderation, {
+      headers: ADMIN,
+      body: { articleId: sub.body.articleId, action: "reject", note: "Too blurry" },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(fake.state.articles.size, 0);
+    assert.equal(fake.state.files.length, 0);
+    assert.match(fake.state.mails[0].content[0].value, /Too blurry/);
+  });
+
+  it("only deletes Files whose name matches exactly", async () => {
+    const sub = await invoke(submit, { body: submission() });
+    const clean = fake.state.files.find((f) => f.filename.endsWith("-clean.png"));
+    const lookalike = clean.filename.replace(/\.png$/, "_copy.png");
+    fake.state.files.push({
+      ...clean,
+      id: "gid://shopify/MediaImage/999999",
+      filename: lookalike,
+      url: clean.url.replace(clean.filename, lookalike),
+    });
+
+    const res = await invoke(moderation, {
+      headers: ADMIN,
+      body: { articleId: sub.body.articleId, action: "reject", notify: false },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(fake.state.files.map((f) => f.filename), [lookalike]);
+  });
+
+  it("keeps the submission metaobject in step with decisions", async () => {
+    process.env.SUBMISSION_METAOBJECT = "1";
+    try {
+      const decide = (sub, action) =>
+        invoke(moderation, {
+          headers: ADMIN,
+          body: { articleId: sub.body.articleId, action, notify: false },
+        });
+      const statusOf = (sub) =>
+        fake.state.metaobjects
+          .get(`brick_art_submission/submission-${sub.body.articleId}`)
+          ?.fields.find((f) => f.key === "moderation_status")?.value;
+
+      const kept = await invoke(submit, { body: submission() });
+      assert.equal(statusOf(kept), "pending");
+      await decide(kept, "request_changes");
+      assert.equal(statusOf(kept), "changes_requested");
+      await decide(kept, "approve");
+      assert.equal(statusOf(kept), "approved");
+
+      const dropped = await invoke(submit, { body: submission() });
+      assert.equal(fake.state.metaobjects.size, 2);
+      await decide(dropped, "reject");
+      assert.equal(statusOf(dropped), undefined);
+      assert.equal(fake.state.metaobjects.size, 1);
+    } finally {
+      delete process.env.SUBMISSION_METAOBJECT;
+    }
+  });
+});
+
+describe("design source", () => {
+  it("stores the design as a JSON File and serves it back", async () => {
+    const sub = await invoke(submit, { body: submission({ design: designDoc() }) });
+    assert.equal(sub.statusCode, 200, JSON.stringify(sub.body));
+    assert.match(sub.body.designUrl, /-design\.json/);
+    const file = fake.state.files.find((f) => f.filename.endsWith("-design.json"));
+    assert.equal(JSON.parse(file.bytes.toString()).palette[0].hex, "#c91a09");
+    assert.equal(metafieldsOf(sub.body.articleId).design, sub.body.designUrl);
+
+    const query = { articleId: String(sub.body.articleId) };
+    // unpublished → team only
+    assert.equal((await invoke(design, { method: "GET", query })).statusCode, 401);
+    const res = await invoke(design, { method: "GET", query, headers: ADMIN });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.equal(res.body.design.width, 16);
+    assert.equal(res.body.design.cells.length, 256);
+    assert.equal(res.headers["cache-control"], "no-store");
+
+    await invoke(moderation, {
+      headers: ADMIN,
+      body: { articleId: sub.body.articleId, action: "approve", notify: false },
+    });
+    const pub = await invoke(design, { method: "GET", query });
+    assert.equal(pub.statusCode, 200);
+    assert.match(pub.headers["cache-control"], /public/);
+  });
+
+  it("rejects malformed designs and designs that don't match the grid", async () => {
+    const bad = await invoke(submit, {
+      body: submission({ design: designDoc({ cells: [0, 1, 2] }) }),
+    });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(bad.body.fields[0].field, "design");
+    assert.match(bad.body.fields[0].message, /cells/);
+
+    const wrongGrid = await invoke(submit, { body: submission({ grid: "32", design: designDoc() }) });
+    assert.equal(wrongGrid.statusCode, 400);
+    assert.match(wrongGrid.body.fields[0].message, /grid is 32/);
+    assert.equal(articles().length, 0);
+  });
+
+  it("answers 404 for submissions without a design", async () => {
+    const sub = await invoke(submit, { body: submission() });
+    const res = await invoke(design, {
+      method: "GET",
+      query: { articleId: String(sub.body.articleId) },
+      headers: ADMIN,
+    });
+    assert.equal(res.statusCode, 404);
+  });
+
+  it("deletes the design file on reject", async () => {
+    const sub = await invoke(submit, { body: submission({ design: designDoc() }) });
+    await invoke(moderation, {
+      headers: ADMIN,
+      body: { articleId: sub.body.articleId, action: "reject", notify: false },
+    });
+    assert.equal(fake.state.files.length, 0);
+  });
+});
+
+describe("content screening", () => {
+  // black lettering on white, one cell per pixel
+  const LETTERS = (() => {
+    const img = createImage(16, 16);
+    drawText(img, "HI", 2, 0, { color: [0, 0, 0, 255] });
+    drawText(img, "OK", 2, 8, { color: [0, 0, 0, 255] });
+    return mosaicPng(16, (r, c) =>
+      img.data[(r * 16 + c) * 4 + 3] ? [0, 0, 0] : [255, 255, 255]
+    );
+  })();
+
+  const screeningOf = (res) => JSON.parse(metafieldsOf(res.body.articleId).screening);
+
+  it("sends a listed word to review and refuses several, leetspeak included", async () => {
+    for (const nickname of ["5h1t head", "f u c k", "B1TCH", "Cocky Rooster"]) {
+      const res = await invoke(submit, { body: submission({ nickname }) });
+      assert.equal(res.statusCode, 200, nickname);
+      assert.equal(screeningOf(res).level, "review", nickname);
+      assert.equal(screeningOf(res).findings[0].type, "word", nickname);
+    }
+    for (const body of [
+      submission({ nickname: "5h1t f u c k" }),
+      submission({ nickname: "B1TCH", category: "Twat" }),
+    ]) {
+      const res = await invoke(submit, { body });
+      assert.equal(res.statusCode, 422, body.nickname);
+      assert.equal(res.body.fields[0].message, "contains words that aren't allowed");
+    }
+    const ok = await invoke(submit, { body: submission({ nickname: "Classy Scunthorpe" }) });
+    assert.equal(ok.statusCode, 200, JSON.stringify(ok.body));
+    assert.equal(screeningOf(ok).level, "ok");
+  });
+
+  it("sends contact details to review and refuses them combined", async () => {
+    const phone = await invoke(submit, { body: submission({ nickname: "call 555 123 4567" }) });
+    assert.equal(phone.statusCode, 200);
+    assert.deepEqual(screeningOf(phone).findings.map((f) => f.type), ["phone"]);
+    const email = await invoke(submit, { body: submission({ nickname: "me at mail dot com" }) });
+    assert.equal(screeningOf(email).level, "review");
+    const room = await invoke(submit, { body: submission({ nickname: "Room 214 - 2025" }) });
+    assert.equal(screeningOf(room).level, "ok");
+
+    const both = await invoke(submit, {
+      body: submission({ nickname: "me at mail dot com 555 123 4567" }),
+    });
+    assert.equal(both.statusCode, 422);
+    assert.match(both.body.fields[0].message, /email address/);
+    assert.equal(articles().length, 3);
+  });
+
+  it("flags text-like mosaics and lists them first for moderation", async () => {
+    const plain = await invoke(submit, { body: submission() });
+    const text = await invoke(submit, {
+      body: submission({
+        imageClean_b64: LETTERS.toString("base64"),
+        totalBricks: undefined,
+        brickCounts: undefined,
+      }),
+    });
+    assert.equal(text.statusCode, 200, JSON.stringify(text.body));
+
+    const mf = metafieldsOf(text.body.articleId);
+    const screening = JSON.parse(mf.screening);
+    assert.equal(screening.level, "review");
+    assert.equal(screening.findings[0].type, "image_text");
+    assert.equal(JSON.parse(mf.flags)[0].type, "screening");
+
+    const list = await invoke(moderation, { method: "GET", headers: ADMIN });
+    assert.deepEqual(
+      list.body.submissions.map((s) => s.articleId),
+      [text.body.articleId, plain.body.articleId]
+    );
+    assert.equal(list.body.submissions[0].riskScore, screening.score);
+  });
+
+  it("runs custom screens", async () => {
+    setScreen("custom", (input) =>
+      /rocket/i.test(input.nickname) ? [{ type: "custom", field: "nickname", weight: 100 }] : []
+    );
+    try {
+      const res = await invoke(submit, { body: submission({ nickname: "Rocket" }) });
+      assert.equal(res.statusCode, 422);
+      assert.equal(res.body.fields[0].field, "nickname");
+    } finally {
+      setScreen("custom", null);
+    }
+  });
+});
+
+describe("duplicate detection", () => {
+  const C = [[180, 0, 0], [250, 200, 10], [0, 133, 43]];
+  // diagonal bands; `edited` whitens the top-left corner
+  const bands = (edited = false) =>
+    mosaicPng(16, (r, c) =>
+      edited && r < 2 && c < 2 ? [255, 255, 255] : C[Math.floor((r + c) / 4) % 3]
+    );
+  const stripes = mosaicPng(16, (r, c) => C[Math.floor(c / 4) % 3]);
+  const body = (png, extra) =>
+    submission({
+      imageClean_b64: png.toString("base64"),
+      totalBricks: undefined,
+      brickCounts: undefined,
+      ...extra,
+    });
+
+  it("flags a near-identical resubmission as a possible duplicate", async () => {
+    const first = await invoke(submit, { body: body(bands(), { nickname: "Bands" }) });
+    const other = await invoke(submit, { body: body(stripes, { nickname: "Stripes" }) });
+    const again = await invoke(submit, { body: body(bands(true), { nickname: "Someone Else" }) });
+    assert.equal(again.statusCode, 200, JSON.stringify(again.body));
+
+    const mf = metafieldsOf(again.body.articleId);
+    assert.match(mf.phash, /^v1:[0-9a-f-]{192}$/);
+    const duplicates = JSON.parse(mf.duplicates);
+    assert.deepEqual(duplicates.map((d) => d.articleId), [first.body.articleId]);
+    assert.ok(duplicates[0].similarity >= 0.9 && duplicates[0].similarity < 1);
+    assert.ok(
+      JSON.parse(mf.flags).some(
+        (f) => f.type === "possible_duplicate" && f.articleIds[0] === first.body.articleId
+      )
+    );
+    assert.equal(metafieldsOf(other.body.articleId).duplicates, undefined);
+
+    const { body: res } = await invoke(moderation, {
+      method: "GET",
+      headers: ADMIN,
+      query: { articleId: String(again.body.articleId) },
+    });
+    assert.equal(res.submission.duplicates[0].articleId, first.body.articleId);
+  });
+
+  it("forgets a rejected design", async () => {
+    const { getStore } = await import("../api/_lib/store.js");
+    const { RECENT_KEY } = await import("../api/_lib/phash.js");
+    await getStore().del(RECENT_KEY);
+
+    const first = await invoke(submit, { body: body(bands(), { nickname: "Bands" }) });
+    const rejected = await invoke(moderation, {
+      headers: ADMIN,
+      body: { articleId: first.body.articleId, action: "reject", notify: false },
+    });
+    assert.equal(rejected.statusCode, 200, JSON.stringify(rejected.body));
+
+    const again = await invoke(submit, { body: body(bands(true), { nickname: "Someone Else" }) });
+    assert.equal(again.statusCode, 200, JSON.stringify(again.body));
+    assert.equal(metafieldsOf(again.body.articleId).duplicates, undefined);
+  });
+});
+
+describe("consent and privacy", () => {
+  it("refuses a submission without gallery consent", async () => {
+    const res = await invoke(submit, { body: submission({ consentGallery: false }) });
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.fields.map((f) => f.field), ["consentGallery"]);
+    assert.equal(articles().length, 0);
+  });
+
+  it("drops the email and anonymises the nickname for under-13s without a guardian", async () => {
+    const res = await invoke(submit, {
+      body: submission({ under13: true, consentMarketing: true, policyVersion: "2025-01" }),
+    });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.equal(res.body.emailSaved, false);
+
+    const [article] = articles();
+    assert.doesNotMatch(article.title, /Test Builder/);
+    const mf = metafieldsOf(article.id);
+    assert.equal(mf.submitter_email, undefined);
+    assert.match(mf.nickname, /^Builder [0-9A-F]{4}$/);
+    const consent = JSON.parse(mf.consent);
+    assert.equal(consent.under13, true);
+    assert.equal(consent.email, false);
+    assert.equal(consent.marketing, false);
+    assert.equal(consent.nicknameAnonymised, true);
+    assert.equal(consent.clientPolicyVersion, "2025-01");
+    assert.ok(consent.policyVersion && consent.recordedAt);
+  });
+
+  it("keeps the email with guardian consent, and not without email consent", async () => {
+    await invoke(submit, { body: submission({ under13: true, guardianConsent: true }) });
+    await invoke(submit, { body: submission({ consentEmail: false }) });
+    const [withGuardian, noConsent] = articles().map((a) => metafieldsOf(a.id));
+    assert.equal(withGuardian.submitter_email, "kid@example.com");
+    assert.equal(JSON.parse(withGuardian.consent).guardianConsent, true);
+    assert.equal(noConsent.submitter_email, undefined);
+    assert.equal(noConsent.nickname, "Test Builder");
+  });
+
+  it("erases every submission for an email", async () => {
+    const email = "erase-me@example.com";
+    await invoke(submit, { body: submission({ submitterEmail: email }) });
+    await invoke(submit, { body: submission({ submitterEmail: email }) });
+    const kept = await invoke(submit, { body: submission() });
+    const filesBefore = fake.state.files.length;
+
+    const dry = await invoke(privacy, { headers: ADMIN, body: { email, dryRun: true } });
+    assert.equal(dry.statusCode, 200, JSON.stringify(dry.body));
+    assert.equal(dry.body.articles.length, 2);
+    assert.equal(articles().length, 3);
+
+    const res = await invoke(privacy, { headers: ADMIN, body: { email: email.toUpperCase() } });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.equal(res.body.articles.length, 2);
+    assert.ok(res.body.articles.every((a) => a.deletedFileIds.length > 0));
+    assert.deepEqual(articles().map((a) => a.id), [kept.body.articleId]);
+    assert.ok(fake.state.files.length < filesBefore);
+
+    const again = await invoke(privacy, { headers: ADMIN, body: { email, scan: true } });
+    assert.equal(again.body.articles.length, 0);
+  });
+
+  it("answers invalid JSON with 400", async () => {
+    for (const [handler, headers] of [
+      [privacy, ADMIN],
+      [partsList, {}],
+    ]) {
+      const res = await invoke(handler, { headers, body: "{not json" });
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.error, "Invalid JSON body");
+    }
+  });
+
+  it("erases the metaobject, perceptual hash and unfinished jobs too", async () => {
+    const { getStore } = await import("../api/_lib/store.js");
+    const { RECENT_KEY } = await import("../api/_lib/phash.js");
+    const store = getStore();
+    const email = "erase-all@example.com";
+    process.env.SUBMISSION_METAOBJECT = "1";
+    try {
+      const published = await invoke(submit, { body: submission({ submitterEmail: email }) });
+      fake.inject({ s3Status: 403 });
+      const queued = await invoke(submit, { body: submission({ submitterEmail: email }) });
+      assert.equal(queued.statusCode, 202);
+      fake.inject({ s3Status: 0 });
+      assert.equal(fake.state.metaobjects.size, 1);
+      const hashed = async () =>
+        (await store.lrange(RECENT_KEY, 0, -1)).some(
+          (e) => String(e.articleId) === String(published.body.articleId)
+        );
+      assert.ok(await hashed());
+
+      const res = await invoke(privacy, { headers: ADMIN, body: { email } });
+      assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+      assert.deepEqual(res.body.jobs, [queued.body.jobId]);
+      assert.equal(fake.state.metaobjects.size, 0);
+      assert.equal(await hashed(), false);
+      assert.equal(await store.get(`job:${queued.body.jobId}`), null);
+      assert.ok(!(await store.lrange("jobs:queue", 0, -1)).includes(queued.body.jobId));
+    } finally {
+      delete process.env.SUBMISSION_METAOBJECT;
+    }
+  });
+
+  it("requires the moderation token and a valid email to erase", async () => {
+    assert.equal((await invoke(privacy, { body: { email: "a@example.com" } })).statusCode, 401);
+    const bad = await invoke(privacy, { headers: ADMIN, body: { email: "nope" } });
+    assert.equal(bad.statusCode, 400);
+  });
+});
+
+describe("POST /api/sendgrid-events", () => {
+  const { publicKey, privateKey } = generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+  process.env.SENDGRID_WEBHOOK_PUBLIC_KEY = publicKey
+    .export({ format: "der", type: "spki" })
+    .toString("base64");
+
+  const post = (events, { tamper = false } = {}) => {
+    const body = JSON.stringify(events);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = sign("sha256", Buffer.from(timestamp + body), privateKey).toString("base64");
+    return invoke(sendgridEvents, {
+      headers: {
+        "x-twilio-email-event-webhook-signature": signature,
+        "x-twilio-email-event-webhook-timestamp": timestamp,
+      },
+      body: tamper ? body.replace("delivered", "open") : body,
+    });
+  };
+
+  it("stores signed events and shows them to moderators", async () => {
+    const sub = await invoke(submit, { body: submission() });
+    await invoke(moderation, {
+      headers: ADMIN,
+      body: { articleId: sub.body.articleId, action: "approve" },
+    });
+    assert.deepEqual(fake.state.mails[0].custom_args, {
+      brickart_kind: "approved",
+      brickart_ref: String(sub.body.articleId),
+    });
+
+    const event = {
+      email: "bounced@example.com",
+      event: "bounce",
+      reason: "550 mailbox unavailable",
+      timestamp: 1735689600,
+      sg_event_id: "evt-1",
+      brickart_kind: "approved",
+      brickart_ref: String(sub.body.articleId),
+    };
+    const res = await post([event, event, { event: "open", sg_event_id: "evt-2" }]);
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.equal(res.body.stored, 1);
+
+    const view = await invoke(moderation, {
+      method: "GET",
+      headers: ADMIN,
+      query: { articleId: String(sub.body.articleId) },
+    });
+    assert.equal(view.body.submission.emailEvents.length, 1);
+    assert.equal(view.body.submission.emailEvents[0].event, "bounce");
+
+    // hard bounces stop further email to the address
+    const again = await invoke(emailV1, {
+      body: { email: "bounced@example.com", imageBase64: PNG_B64 },
+    });
+    assert.equal(again.statusCode, 409);
+  });
+
+  it("rejects a tampered payload", async () => {
+    const res = await post([{ event: "delivered", brickart_ref: "1" }], { tamper: true });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("tags outgoing design emails for tracking", async () => {
+    const res = await invoke(emailV1, { body: { email: "kid@example.com", imageBase64: PNG_B64 } });
+    assert.deepEqual(fake.state.mails[0].custom_args, {
+      brickart_kind: "design",
+      brickart_ref: res.body.emailId,
+    });
+  });
+});
+
+describe("/api/parts-list", () => {
+  it("serves CSV for published articles only", async () => {
+    const sub = await invoke(submit, { body: submission() });
+    const hidden = await invoke(partsList, { method: "GET", query: { articleId: String(sub.body.articleId) } });
+    assert.equal(hidden.statusCode, 404);
+
+    await invoke(moderation, {
+      headers: ADMIN,
+      body: { articleId: sub.body.articleId, action: "approve", notify: false },
+    });
+    const res = await invoke(partsList, {
+      method: "GET",
+      query: { articleId: String(sub.body.articleId), format: "csv" },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /^colour,quantity,part,bricklink_color_id\r\nred,128,3024,5/);
+  });
+
+  it("neutralises cells a spreadsheet would run as formulas", async () => {
+    const { toCsv } = await import("../api/_lib/partslist.js");
+    const csv = toCsv({
+      '=HYPERLINK("http://evil.test","red")': 3,
+      "+1+1": 2,
+      "-2": 1,
+      "@SUM(A1)": 1,
+      "\tblue": 1,
+    });
+    const cells = csv.split("\r\n").slice(1, -1).map((l) => l.split(/,(?=\d)/)[0]);
+    assert.deepEqual(cells, [
+      '"\'=HYPERLINK(""http://evil.test"",""red"")"',
+      "'+1+1",
+      "'-2",
+      "'@SUM(A1)",
+      "'\tblue",
+    ]);
+  });
+});
+
+describe("scripts/setup-shopify.js", () => {
+  it("creates metafield and metaobject definitions once", async () => {
+    const { execFile } = await import("node:child_process");
+    const run = () =>
+      new Promise((resolve) =>
+        execFile(
+          process.execPath,
+          ["scripts/setup-shopify.js", "--metaobject"],
+          { env: process.env, timeout: 20000 },
+          (err, stdout) => resolve({ code: err?.code ?? 0, stdout })
+        )
+      );
+
+    const first = await run();
+    assert.equal(first.code, 0, first.stdout);
+    assert.ok(fake.state.definitions.has("ARTICLE:brickart.total_bricks"));
+    assert.ok(fake.state.definitions.has("metaobject:brick_art_submission"));
+
+    const again = await run();
+    assert.equal(again.code, 0);
+    assert.match(again.stdout, /brickart\.grid: exists/);
+    assert.doesNotMatch(again.stdout, /: created/);
+  });
+});
+
+describe("scripts/brickart.js", () => {
+  const cli = async (...args) => {
+    const { execFile } = await import("node:child_process");
+    return new Promise((resolve) =>
+      execFile(
+        process.execPath,
+        ["scripts/brickart.js", ...args],
+        { env: process.env, timeout: 20000 },
+        (err, stdout) => resolve({ code: err?.code ?? 0, out: JSON.parse(stdout) })
+      )
+    );
+  };
+
+  it("lists, shows and approves submissions, with --dry-run", async () => {
+    const mine = await invoke(submit, { body: submission({ submitterEmail: "cli@example.com" }) });
+    await invoke(submit, { body: submission() });
+    const id = String(mine.body.articleId);
+
+    const list = await cli("submissions", "list", "--email", "CLI@example.com");
+    assert.equal(list.code, 0);
+    assert.deepEqual(list.out.submissions.map((s) => s.articleId), [mine.body.articleId]);
+
+    const show = await cli("submissions", "show", id);
+    assert.equal(show.out.submission.submitterEmail, "cli@example.com");
+
+    const dry = await cli("submissions", "approve", id, "--dry-run");
+    assert.equal(dry.out.dryRun, true);
+    assert.equal(fake.state.articles.get(mine.body.articleId).published_at, null);
+
+    const approved = await cli("submissions", "approve", id, "--no-notify", "--moderator", "ops");
+    assert.equal(approved.code, 0, JSON.stringify(approved.out));
+    assert.equal(approved.out.submission.moderation.moderator, "ops");
+    assert.ok(fake.state.articles.get(mine.body.articleId).published_at);
+    assert.equal(fake.state.mails.length, 0);
+
+    const missing = await cli("submissions", "show", "999999");
+    assert.equal(missing.code, 1);
+    assert.equal((await cli("submissions", "frobnicate")).code, 2);
+  });
+
+  it("re-sends the design email and purges by email", async () => {
+    const sub = await invoke(submit, {
+      body: submission({ submitterEmail: "resend@example.com", consentMarketing: true }),
+    });
+    const id = String(sub.body.articleId);
+
+    const sent = await cli("submissions", "resend-email", id);
+    assert.equal(sent.code, 0, JSON.stringify(sent.out));
+    const [mail] = fake.state.mails;
+    assert.equal(mail.personalizations[0].to[0].email, "resend@example.com");
+    assert.ok(mail.attachments.some((a) => a.type === "application/pdf"));
+
+    const dry = await cli("submissions", "purge", "--email", "resend@example.com", "--dry-run");
+    assert.equal(dry.out.articles.length, 1);
+    assert.equal(articles().length, 1);
+    const purged = await cli("submissions", "purge", "--email", "resend@example.com");
+    assert.equal(purged.out.articles.length, 1);
+    assert.equal(articles().length, 0);
+    assert.equal(fake.state.files.length, 0);
+  });
+
+  it("re-sends only the basic email without marketing consent or to under-13s", async () => {
+    const plain = await invoke(submit, { body: submission({ submitterEmail: "plain@example.com" }) });
+    const young = await invoke(submit, {
+      body: submission({
+        submitterEmail: "parent@example.com",
+        under13: true,
+        guardianConsent: true,
+        consentMarketing: true,
+      }),
+    });
+
+    for (const sub of [plain, young]) {
+      const id = String(sub.body.articleId);
+      const refused = await cli("submissions", "resend-email", id, "--kind", "design");
+      assert.equal(refused.code, 1);
+      assert.match(refused.out.error, /not consented to marketing/);
+      assert.equal(fake.state.mails.length, 0);
+
+      const sent = await cli("submissions", "resend-email", id);
+      assert.equal(sent.code, 0, JSON.stringify(sent.out));
+      assert.equal(sent.out.kind, "image");
+      const mail = fake.state.mails.pop();
+      assert.ok(!mail.attachments.some((a) => a.type === "application/pdf"));
+      assert.ok(!mail.headers?.["List-Unsubscribe"]);
+    }
+  });
+
+  it("finds and deletes orphaned Files", async () => {
+    const kept = await invoke(submit, { body: submission() });
+    const gone = await invoke(submit, { body: submission({ nickname: "Orphan Maker" }) });
+    // deleted in the Shopify admin, Files left behind
+    fake.state.articles.delete(gone.body.articleId);
+    // not one of ours
+    fake.state.files.push({
+      id: "gid://shopify/GenericFile/1",
+      filename: "logo.png",
+      typename: "GenericFile",
+      url: `${fake.url}/cdn/shop/files/logo.png`,
+    });
+
+    const young = await cli("files", "orphans");
+    assert.equal(young.out.orphans.length, 0);
+
+    const found = await cli("files", "orphans", "--min-age", "0", "--delete", "--dry-run");
+    assert.ok(found.out.orphans.length > 0);
+    assert.ok(found.out.orphans.every((f) => /orphan-maker/.test(f.filename)));
+    assert.deepEqual(found.out.deletedFileIds, []);
+
+    const deleted = await cli("files", "orphans", "--min-age", "0", "--delete");
+    assert.equal(deleted.out.deletedFileIds.length, found.out.orphans.length);
+    assert.ok(fake.state.files.some((f) => f.filename === "logo.png"));
+    assert.ok(fake.state.files.some((f) => f.url === kept.body.cleanUrl));
+    assert.ok(!fake.state.files.some((f) => /orphan-maker/.test(f.filename)));
+  });
+
+  it("never counts Files held by queued or dead jobs as orphans", async () => {
+    const { getStore } = await import("../api/_lib/store.js");
+    const { DEAD, QUEUE, deleteJob, enqueue } = await import("../api/_lib/jobs.js");
+    const { findOrphanFiles } = await import("../api/_lib/files.js");
+    const { createShopify, shopifyEnv } = await import("../api/_lib/shopify.js");
+    const store = getStore();
+    const shop = createShopify(shopifyEnv());
+
+    const sub = await invoke(submit, { body: submission({ nickname: "Half Done" }) });
+    fake.state.articles.delete(sub.body.articleId);
+    // as if two jobs had uploaded these Files and then stopped
+    const { payload: _q, ...queued } = await enqueue(store, "submission", {});
+    await store.set(`job:${queued.id}`, {
+      ...queued,
+      checkpoints: { "images.clean": { url: sub.body.cleanUrl }, "images.logo": { url: null } },
+    });
+    const { payload: _d, ...dead } = await enqueue(store, "submission", {});
+    await store.set(`job:${dead.id}`, {
+      ...dead,
+      status: "dead",
+      checkpoints: { assets: { partsLinks: [{ url: sub.body.guideUrl, label: "Guide" }] } },
+    });
+    await store.lrem(QUEUE, dead.id);
+    await store.lpush(DEAD, dead.id);
+
+    try {
+      const orphans = await findOrphanFiles(shop, "1", store, { minAgeHours: 0 });
+      const names = orphans.map((f) => f.url);
+      assert.ok(orphans.some((f) => /half-done-logo\.png$/.test(f.filename)));
+      assert.ok(!names.includes(sub.body.cleanUrl));
+      assert.ok(!names.includes(sub.body.guideUrl));
+    } finally {
+      for (const id of [queued.id, dead.id]) await deleteJob(store, id);
+    }
+  });
+});
+
+describe("GET /api/gallery", () => {
+  it("lists published submissions with filters, sorting and cursors", async () => {
+    const publish = async (extra) => {
+      const sub = await invoke(submit, { body: submission(extra) });
+      await invoke(moderation, {
+        headers: ADMIN,
+        body: { articleId: sub.body.articleId, action: "approve", notify: false },
+      });
+      return sub.body;
+    };
+    const space = await publish({ nickname: "Rocket", category: "Space" });
+    await publish({ nickname: "Cat", category: "Animals", baseplate: "Green 16x16" });
+    await invoke(submit, { body: submission({ nickname: "Hidden" }) });
+
+    const res = await invoke(gallery, { method: "GET", query: { category: "space" } });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers["cache-control"], /s-maxage/);
+    assert.equal(res.body.total, 1);
+    const [item] = res.body.items;
+    assert.equal(item.nickname, "Rocket");
+    assert.equal(item.totalBricks, 256);
+    assert.deepEqual(item.brickCounts, { red: 128, blue: 128 });
+    assert.equal(item.thumbnailUrl, space.thumbUrl);
+
+    const plate = await invoke(gallery, { method: "GET", query: { plate: "green" } });
+    assert.deepEqual(plate.body.items.map((i) => i.nickname), ["Cat"]);
+
+    const first = await invoke(gallery, { method: "GET", query: { limit: "1", order: "asc" } });
+    assert.equal(first.body.items[0].nickname, "Rocket");
+    const second = await invoke(gallery, {
+      method: "GET",
+      query: { limit: "1", order: "asc", cursor: first.body.nextCursor },
+    });
+    assert.equal(second.body.items[0].nickname, "Cat");
+    assert.equal(second.body.nextCursor, null);
+
+    const bad = await invoke(gallery, { method: "GET", query: { sort: "colour" } });
+    assert.equal(bad.statusCode, 400);
+  });
+
+  it("reads each article's metafields once however the query varies", async () => {
+    for (const nickname of ["A", "B", "C"]) {
+      const sub = await invoke(submit, { body: submission({ nickname }) });
+      await invoke(moderation, {
+        headers: ADMIN,
+        body: { articleId: sub.body.articleId, action: "approve", notify: false },
+      });
+    }
+    const metafieldReads = () =>
+      fake.state.requests.filter((r) => /\/articles\/\d+\/metafields\.json$/.test(r.path)).length;
+
+    const before = metafieldReads();
+    for (const query of [{}, { order: "asc" }, { sort: "bricks" }, { limit: "1" }, { x: "1" }]) {
+      const res = await invoke(gallery, { method: "GET", query });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.items[0].brickCounts.red, 128);
+    }
+    assert.equal(metafieldReads() - before, 3);
+
+    // pages cached side by side keep each other's details
+    const { invalidateGallery } = await import("../api/_lib/gallery.js");
+    const { getStore } = await import("../api/_lib/store.js");
+    const ids = articles().map((a) => a.id);
+    await invalidateGallery(getStore(), ids);
+    await Promise.all(
+      ["asc", "desc"].map((order) =>
+        invoke(gallery, { method: "GET", query: { limit: "1", order } })
+      )
+    );
+    const after = metafieldReads();
+    await invoke(gallery, { method: "GET", query: {} });
+    assert.equal(metafieldReads() - after, 1);
+  });
+
+  it("links remixes to their parent and returns the remix tree", async () => {
+    const publish = async (extra) => {
+      const sub = await invoke(submit, { body: submission(extra) });
+      assert.equal(sub.statusCode, 200, JSON.stringify(sub.body));
+      await invoke(moderation, {
+        headers: ADMIN,
+        body: { articleId: sub.body.articleId, action: "approve", notify: false },
+      });
+      return sub.body.articleId;
+    };
+    const root = await publish({ nickname: "Original" });
+    const remix = await publish({ nickname: "Remixer", parentArticleId: String(root) });
+    const again = await publish({ nickname: "Third", parentArticleId: remix });
+    const sibling = await publish({ nickname: "Sibling", parentArticleId: root });
+
+    const html = fake.state.articles.get(remix).body_html;
+    assert.match(html, /Remixed from <a href="https:\/\/[^"]+">Original's design<\/a>/);
+    // article_reference needs 2025-01; the article ID is written on every version
+    assert.equal(metafieldsOf(remix).remixed_from, undefined);
+    assert.equal(metafieldsOf(remix).remix_parent_id, String(root));
+    let newer;
+    process.env.SHOPIFY_API_VERSION = "2025-01";
+    try {
+      newer = await publish({ nickname: "Newer", parentArticleId: String(root) });
+      assert.equal(metafieldsOf(newer).remixed_from, `gid://shopify/Article/${root}`);
+    } finally {
+      delete process.env.SHOPIFY_API_VERSION;
+    }
+
+    // lineage comes from the metafield, not the rendered link
+    const third = fake.state.articles.get(again);
+    third.body_html = third.body_html.replace(/ data-parent-article="\d+"/, "");
+
+    const list = await invoke(gallery, { method: "GET", query: {} });
+    const byId = Object.fromEntries(list.body.items.map((i) => [i.articleId, i]));
+    assert.equal(byId[again].parentArticleId, remix);
+    assert.equal(byId[root].parentArticleId, null);
+
+    const res = await invoke(gallery, { method: "GET", query: { tree: String(remix) } });
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body.ancestors.map((a) => a.articleId), [root]);
+    assert.deepEqual(res.body.tree.remixes.map((r) => r.nickname), ["Third"]);
+
+    const whole = await invoke(gallery, { method: "GET", query: { tree: String(root) } });
+    assert.deepEqual(whole.body.tree.remixes.map((r) => r.articleId), [remix, sibling, newer]);
+    assert.match(whole.body.tree.url, /\/blogs\//);
+  });
+
+  it("only accepts published designs as a remix parent", async () => {
+    const hidden = await invoke(submit, { body: submission({ nickname: "Hidden" }) });
+    const res = await invoke(submit, {
+      body: submission({ parentArticleId: hidden.body.articleId }),
+    });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.fields[0].field, "parentArticleId");
+    const missing = await invoke(submit, { body: submission({ parentArticleId: 999999 }) });
+    assert.equal(missing.statusCode, 400);
+  });
+});
+
+describe("abuse protection", () => {
+  beforeEach(() => {
+    process.env.RATE_LIMITS = SUITE_LIMITS;
+    setCaptchaVerifier(null);
+  });
+  after(() => {
+    process.env.RATE_LIMITS = SUITE_LIMITS;
+    setCaptchaVerifier(null);
+  });
+
+  it("answers 429 with Retry-After once an IP is over its limit", async () => {
+    process.env.RATE_LIMITS = JSON.stringify({ email: { ip: 2, email: 100, global: 100 } });
+    const send = () =>
+      invoke(emailImage, {
+        headers: { "x-forwarded-for": "203.0.113.7, 10.0.0.1" },
+        body: { email: "kid@example.com", imageBase64: PNG_B64 },
+      });
+
+    assert.equal((await send()).statusCode, 200);
+    assert.equal((await send()).statusCode, 200);
+    const limited = await send();
+    assert.equal(limited.statusCode, 429);
+    assert.equal(limited.body.limit, "ip");
+    assert.ok(Number(limited.headers["retry-after"]) > 0);
+    assert.equal(fake.state.mails.length, 2);
+  });
+
+  it("limits submissions per submitter email", async () => {
+    process.env.RATE_LIMITS = JSON.stringify({ submit: { ip: 100, email: 1, global: 100 } });
+    const email = "busy@example.com";
+    assert.equal((await invoke(submit, { body: submission({ submitterEmail: email }) })).statusCode, 200);
+    const limited = await invoke(submit, { body: submission({ submitterEmail: email }) });
+    assert.equal(limited.statusCode, 429);
+    assert.equal(limited.body.limit, "email");
+  });
+
+  it("replays duplicates before the CAPTCHA and the limiter, and releases refused keys", async () => {
+    process.env.RATE_LIMITS = JSON.stringify({ submit: { ip: 100, email: 1, global: 100 } });
+    const body = submission({ submitterEmail: "again@example.com" });
+    const first = await invoke(submit, { body });
+    assert.equal(first.statusCode, 200);
+
+    setCaptchaVerifier(async () => false);
+    const again = await invoke(submit, { body });
+    assert.equal(again.statusCode, 200);
+    assert.equal(again.headers["idempotent-replayed"], "true");
+    assert.equal(again.body.articleId, first.body.articleId);
+
+    // a refused request doesn't leave its key claimed
+    const other = submission({ submitterEmail: "other@example.com" });
+    assert.equal((await invoke(submit, { body: other })).statusCode, 403);
+    setCaptchaVerifier(null);
+    assert.equal((await invoke(submit, { body: other })).statusCode, 200);
+  });
+
+  it("rejects a failed CAPTCHA when a verifier is configured", async () => {
+    setCaptchaVerifier(async (token) => token === "good");
+    const bad = await invoke(submit, { body: submission({ captchaToken: "bad" }) });
+    assert.equal(bad.statusCode, 403);
+    const good = await invoke(submit, { body: submission({ captchaToken: "good" }) });
+    assert.equal(good.statusCode, 200);
+  });
+});
@@ -0,0 +1,404 @@
+// test/fake/server.js — local stand-in for the parts of Shopify Admin,
+// the S3 staged-upload bucket and SendGrid that the handlers use.
+//
+//   const fake = await startFake();
+//   process.env.SHOPIFY_ADMIN_URL = fake.url;   // Shopify client → fake
+//   process.env.SENDGRID_API_URL  = fake.url;   // SendGrid → fake
+//   fake.inject({ s3Status: 403 });             // failure injection
+//   fake.state.articles / files / mails         // assertions
+//   await fake.close();
+//
+// Failure injection (all reset by fake.reset()):
+//   s3Status        — status returned by the staged-upload POST
+//   s3FailOn        — fail only the nth staged-upload POST (1-based, since reset)
+//   fileIndexDelay  — fileCreate returns no URL and `files` searches come back
+//                     empty this many times per filename
+//   stagedUserErrors / fileCreateUserErrors — userErrors to return
+//   articleStatus   — status for POST blogs/:id/articles.json
+//   sendgridStatus  — status for /v3/mail/send
+//   gqlHandlers     — { operationName: (variables, fake) => data } extras
+
+import http from "node:http";
+
+const BLOG = { id: 1, handle: "gallery", title: "Brick Art Gallery" };
+
+function freshState() {
+  return {
+    nextId: 1000,
+    uploads: new Map(), // resourceUrl → { filename, bytes }
+    files: [],          // { id, filename, url, typename, alt, searchMisses }
+    articles: new Map(),
+    metafields: new Map(), // articleId → [metafield]
+    definitions: new Map(), // "ARTICLE:namespace.key" / "metaobject:type" → definition
+    metaobjects: new Map(), // "type/handle" → { id, fields }
+    mails: [],
+    requests: [],
+  };
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const c of req) chunks.push(c);
+  return Buffer.concat(chunks);
+}
+
+function send(res, status, body, headers = {}) {
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(text);
+}
+
+export async function startFake() {
+  let state = freshState();
+  let faults = {};
+  let base = "";
+
+  const fake = {
+    get url() {
+      return base;
+    },
+    get state() {
+      return state;
+    },
+    inject(f) {
+      faults = { ...faults, ...f };
+    },
+    reset() {
+      state = freshState();
+      faults = {};
+    },
+    // Test helper: seed an article directly.
+    addArticle(fields = {}) {
+      const id = state.nextId++;
+      const article = {
+        id,
+        blog_id: BLOG.id,
+        title: "Seeded",
+        handle: `seeded-${id}`,
+        body_html: "",
+        tags: "",
+        created_at: new Date().toISOString(),
+        published_at: null,
+        ...fields,
+      };
+      state.articles.set(id, article);
+      return article;
+    },
+    close: () => new Promise((r) => server.close(r)),
+  };
+
+  const nextGid = (type) => `gid://shopify/${type}/${state.nextId++}`;
+
+  // --- GraphQL ---
+  const GQL = {
+    stagedUploadsCreate({ input }) {
+      if (faults.stagedUserErrors) {
+        return { stagedUploadsCreate: { stagedTargets: [], userErrors: faults.stagedUserErrors } };
+      }
+      return {
+        stagedUploadsCreate: {
+          stagedTargets: input.map((i) => {
+            const token = state.nextId++;
+            return {
+              url: `${base}/s3-upload`,
+              resourceUrl: `${base}/s3/${token}/${i.filename}`,
+              parameters: [
+                { name: "key", value: `${token}/${i.filename}` },
+                { name: "Content-Type", value: i.mimeType },
+              ],
+            };
+          }),
+          userErrors: [],
+        },
+      };
+    },
+
+    fileCreate({ files }) {
+      if (faults.fileCreateUserErrors) {
+        return { fileCreate: { files: [], userErrors: faults.fileCreateUserErrors } };
+      }
+      const created = files.map((f) => {
+        const upload = state.uploads.get(f.originalSource);
+        if (!upload) throw new Error(`unknown originalSource ${f.originalSource}`);
+        const isImage = f.contentType === "IMAGE";
+        const file = {
+          id: nextGid(isImage ? "MediaImage" : "GenericFile"),
+          typename: isImage ? "MediaImage" : "GenericFile",
+          filename: upload.filename,
+          alt: f.alt,
+          url: `${base}/cdn/shop/files/${upload.filename}?v=1`,
+          createdAt: new Date().toISOString(),
+          bytes: upload.bytes,
+          searchMisses: faults.fileIndexDelay || 0,
+        };
+        state.files.push(file);
+        return file;
+      });
+      return {
+        fileCreate: {
+          files: created.map((f) => node(f, !faults.fileIndexDelay)),
+          userErrors: [],
+        },
+      };
+    },
+
+    // like Shopify's search, a filename also finds names that extend it
+    files({ q }) {
+      const filename = String(q).replace(/^filename:/, "");
+      const stem = filename.replace(/\.[^.]+$/, "");
+      const edges = [];
+      for (const f of state.files) {
+        if (!f.filename.startsWith(stem)) continue;
+        if (f.searchMisses > 0) {
+          f.searchMisses--;
+          continue;
+        }
+        edges.push({ node: node(f, true) });
+      }
+      return { files: { edges } };
+    },
+
+    // every file, 2 per page so pagination gets exercised
+    filesPage({ after }) {
+      const start = after ? Number(after) : 0;
+      const page = state.files.slice(start, start + 2);
+      return {
+        files: {
+          edges: page.map((f) => ({ node: { ...node(f, true), createdAt: f.createdAt } })),
+          pageInfo: {
+            hasNextPage: start + 2 < state.files.length,
+            endCursor: String(start + page.length),
+          },
+        },
+      };
+    },
+
+    metafieldValues({ ids, namespace, key }) {
+      return {
+        nodes: ids.map((gid) => {
+          const id = Number(String(gid).match(/\/Article\/(\d+)$/)?.[1]);
+          if (!state.articles.has(id)) return null;
+          const mf = (state.metafields.get(id) || []).find(
+            (x) => x.namespace === namespace && x.key === key
+          );
+          return { id: gid, metafield: mf ? { value: mf.value } : null };
+        }),
+      };
+    },
+
+    metafieldsSet({ metafields }) {
+      const userErrors = [];
+      const saved = [];
+      for (const [i, mf] of metafields.entries()) {
+        const id = Number(String(mf.ownerId).match(/\/Article\/(\d+)$/)?.[1]);
+        if (!state.articles.has(id)) {
+          userErrors.push({ field: ["metafields", String(i), "ownerId"], message: "Owner does not exist", code: "INVALID" });
+          continue;
+        }
+        const { ownerId, ...fields } = mf;
+        const list = state.metafields.get(id) || [];
+        const existing = list.find((x) => x.namespace === mf.namespace && x.key === mf.key);
+        if (existing) Object.assign(existing, fields);
+        else list.push({ id: state.nextId++, ...fields });
+        state.metafields.set(id, list);
+        saved.push({ key: mf.key, namespace: mf.namespace, value: mf.value });
+      }
+      // Shopify applies all or nothing
+      return { metafieldsSet: userErrors.length ? { metafields: [], userErrors } : { metafields: saved, userErrors } };
+    },
+
+    metafieldDefinitionCreate({ definition }) {
+      const key = `${definition.ownerType}:${definition.namespace}.${definition.key}`;
+      if (state.definitions.has(key)) {
+        const userErrors = [{ field: ["definition", "key"], message: "Key is in use", code: "TAKEN" }];
+        return { metafieldDefinitionCreate: { createdDefinition: null, userErrors } };
+      }
+      const created = { id: nextGid("MetafieldDefinition"), ...definition };
+      state.definitions.set(key, created);
+      return { metafieldDefinitionCreate: { createdDefinition: created, userErrors: [] } };
+    },
+
+    metaobjectDefinitionCreate({ definition }) {
+      const key = `metaobject:${definition.type}`;
+      if (state.definitions.has(key)) {
+        const userErrors = [{ field: ["definition", "type"], message: "Type is in use", code: "TAKEN" }];
+        return { metaobjectDefinitionCreate: { metaobjectDefinition: null, userErrors } };
+      }
+      const created = { id: nextGid("MetaobjectDefinition"), ...definition };
+      state.definitions.set(key, created);
+      return { metaobjectDefinitionCreate: { metaobjectDefinition: created, userErrors: [] } };
+    },
+
+    metaobjectUpsert({ handle, metaobject }) {
+      const key = `${handle.type}/${handle.handle}`;
+      const existing = state.metaobjects.get(key);
+      const obj = { id: existing?.id || nextGid("Metaobject"), handle: handle.handle, fields: metaobject.fields };
+      state.metaobjects.set(key, obj);
+      return { metaobjectUpsert: { metaobject: { id: obj.id, handle: obj.handle }, userErrors: [] } };
+    },
+
+    metaobjectByHandle({ handle }) {
+      const obj = state.metaobjects.get(`${handle.type}/${handle.handle}`);
+      return { metaobjectByHandle: obj ? { id: obj.id } : null };
+    },
+
+    metaobjectDelete({ id }) {
+      const key = [...state.metaobjects].find(([, o]) => o.id === id)?.[0];
+      if (key) state.metaobjects.delete(key);
+      return { metaobjectDelete: { deletedId: key ? id : null, userErrors: [] } };
+    },
+
+    fileDelete({ fileIds }) {
+      const before = state.files.length;
+      state.files = state.files.filter((f) => !fileIds.includes(f.id));
+      return {
+        fileDelete: {
+          deletedFileIds: before === state.files.length ? [] : fileIds,
+          userErrors: [],
+        },
+      };
+    },
+  };
+
+  function node(f, withUrl) {
+    return f.typename === "MediaImage"
+      ? { __typename: "MediaImage", id: f.id, alt: f.alt, image: withUrl ? { url: f.url } : null }
+      : { __typename: "GenericFile", id: f.id, url: withUrl ? f.url : null };
+  }
+
+  function operationOf(query) {
+    const m = String(query).match(/(?:mutation|query)\s+(\w+)/);
+    return m ? m[1] : null;
+  }
+
+  // --- REST ---
+  function rest(method, path, url, body) {
+    let m;
+    if ((m = path.match(/^\/blogs\/(\d+)\.json$/))) {
+      return [200, { blog: BLOG }];
+    }
+    if ((m = path.match(/^\/blogs\/(\d+)\/articles\.json$/))) {
+      if (method === "POST") {
+        if (faults.articleStatus) return [faults.articleStatus, { errors: "injected failure" }];
+        const a = body.article || {};
+        const article = fake.addArticle({
+          title: a.title,
+          body_html: a.body_html,
+          tags: a.tags,
+          image: a.image ? { src: a.image.src, alt: a.image.alt || null } : null,
+          handle: String(a.title || "article").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, ""),
+          published_at: a.published ? new Date().toISOString() : null,
+        });
+        return [201, { article }];
+      }
+      const status = url.searchParams.get("published_status") || "any";
+      const limit = Number(url.searchParams.get("limit") || 50);
+      const list = [...state.articles.values()]
+        .filter((a) =>
+          status === "published" ? a.published_at : status === "unpublished" ? !a.published_at : true
+        )
+        .slice(0, limit);
+      return [200, { articles: list }];
+    }
+    if ((m = path.match(/^\/blogs\/(\d+)\/articles\/(\d+)\.json$/))) {
+      const id = Number(m[2]);
+      const article = state.articles.get(id);
+      if (!article) return [404, { errors: "Not Found" }];
+      if (method === "DELETE") {
+        state.articles.delete(id);
+        state.metafields.delete(id);
+        return [200, {}];
+      }
+      if (method === "PUT") {
+        const a = { ...(body.article || {}) };
+        delete a.id;
+        if ("published" in a) {
+          a.published_at = a.published ? a.published_at || new Date().toISOString() : null;
+          delete a.published;
+        }
+        Object.assign(article, a);
+      }
+      return [200, { article }];
+    }
+    if ((m = path.match(/^\/articles\/(\d+)\/metafields\.json$/))) {
+      const id = Number(m[1]);
+      if (!state.articles.has(id)) return [404, { errors: "Not Found" }];
+      const list = state.metafields.get(id) || [];
+      if (method === "POST") {
+        const mf = body.metafield;
+        const existing = list.find((x) => x.namespace === mf.namespace && x.key === mf.key);
+        if (existing) Object.assign(existing, mf);
+        else list.push({ id: state.nextId++, ...mf });
+        state.metafields.set(id, list);
+        return [existing ? 200 : 201, { metafield: existing || list[list.length - 1] }];
+      }
+      const ns = url.searchParams.get("namespace");
+      return [200, { metafields: list.filter((x) => !ns || x.namespace === ns) }];
+    }
+    return [404, { errors: `fake: no route for ${method} ${path}` }];
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, base);
+    const raw = await readBody(req);
+    state.requests.push({ method: req.method, path: url.pathname });
+
+    try {
+      // S3 staged upload (multipart form)
+      if (url.pathname === "/s3-upload" && req.method === "POST") {
+        if (faults.s3Status) return send(res, faults.s3Status, "<Error>AccessDenied</Error>");
+        if (
+          faults.s3FailOn &&
+          state.requests.filter((r) => r.path === "/s3-upload").length === faults.s3FailOn
+        ) {
+          return send(res, 503, "<Error>SlowDown</Error>");
+        }
+        const text = raw.toString("latin1");
+        const key = text.match(/name="key"\r\n\r\n([^\r]+)/)?.[1];
+        const start = text.indexOf("\r\n\r\n", text.indexOf('name="file"')) + 4;
+        const end = text.lastIndexOf("\r\n--");
+        const filename = key.split("/").slice(1).join("/");
+        state.uploads.set(`${base}/s3/${key}`, { filename, bytes: raw.subarray(start, end) });
+        return send(res, 201, "");
+      }
+
+      // SendGrid
+      if (url.pathname === "/v3/mail/send" && req.method === "POST") {
+        if (faults.sendgridStatus) return send(res, faults.sendgridStatus, { errors: [{ message: "injected" }] });
+        state.mails.push({ auth: req.headers.authorization, ...JSON.parse(raw.toString()) });
+        return send(res, 202, "");
+      }
+
+      // Shopify CDN (created Files)
+      const cdn = url.pathname.match(/^\/cdn\/shop\/files\/(.+)$/);
+      if (cdn && req.method === "GET") {
+        const file = state.files.find((f) => f.filename === decodeURIComponent(cdn[1]));
+        if (!file) return send(res, 404, "Not Found");
+        res.writeHead(200);
+        return res.end(file.bytes);
+      }
+
+      const admin = url.pathname.match(/^\/admin\/api\/[\w-]+(\/.*)$/);
+      if (!admin) return send(res, 404, { errors: "fake: unknown path" });
+      if (!req.headers["x-shopify-access-token"]) return send(res, 401, { errors: "no token" });
+
+      if (admin[1] === "/graphql.json") {
+        const { query, variables } = JSON.parse(raw.toString());
+        const op = operationOf(query);
+        const fn = faults.gqlHandlers?.[op] || GQL[op];
+        if (!fn) return send(res, 200, { errors: [{ message: `fake: unsupported operation ${op}` }] });
+        return send(res, 200, { data: fn(variables || {}, fake) });
+      }
+
+      const body = raw.length ? JSON.parse(raw.toString()) : {};
+      const [status, json] = rest(req.method, admin[1], url, body);
+      return send(res, status, json);
+    } catch (err) {
+      return send(res, 500, { errors: String(err?.message || err) });
+    }
+  });
+
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  base = `http://127.0.0.1:${server.address().port}`;
+  return fake;
+}
@@ -0,0 +1,50 @@
+// test/helpers/invoke.js — call a Vercel-style handler without a server.
+//
+// req behaves like Vercel's IncomingMessage: body is pre-parsed JSON (as
+// submit.js expects) and it is also an async-iterable stream of the raw
+// JSON (as email-image.js expects). res records status / headers / body.
+
+import { Readable } from "node:stream";
+
+export async function invoke(handler, { method = "POST", headers = {}, body, query = {} } = {}) {
+  const raw = body === undefined ? "" : typeof body === "string" ? body : JSON.stringify(body);
+  const req = Readable.from(raw ? [Buffer.from(raw)] : []);
+  req.method = method;
+  req.headers = Object.fromEntries(
+    Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])
+  );
+  req.query = query;
+  req.body = body;
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(k, v) {
+      this.headers[k.toLowerCase()] = v;
+      return this;
+    },
+    getHeader(k) {
+      return this.headers[k.toLowerCase()];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(obj) {
+      this.body = obj;
+      return this;
+    },
+    send(payload) {
+      this.body = payload;
+      return this;
+    },
+    end(payload) {
+      if (payload !== undefined) this.body = payload;
+      return this;
+    },
+  };
+
+  await handler(req, res);
+  return res;
+}